@@ -0,0 +1,145 @@
+// API key authentication for the WebSocket upgrade and REST routes,
+// plus the per-session owner secrets that guard reconnects.
+// API keys come from API_KEY (labelled "default") and API_KEYS, a comma-separated
+// list of label:key pairs, so a new key can be added before the old one is removed.
+// Keys whose label is listed in ADMIN_KEY_LABELS (default "admin") can also use
+// the operator routes that see across sessions.
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Hash keys so comparisons run in constant time regardless of key length
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+// Parse the configured keys into { label, hash } records
+function loadApiKeys() {
+  const keys = [];
+
+  if (process.env.API_KEY) {
+    keys.push({ label: 'default', hash: hashKey(process.env.API_KEY) });
+  }
+
+  (process.env.API_KEYS || '').split(',').forEach((pair, index) => {
+    const trimmed = pair.trim();
+    if (!trimmed) {
+      return;
+    }
+    const separator = trimmed.indexOf(':');
+    const label = separator > 0 ? trimmed.slice(0, separator) : `key${index + 1}`;
+    const key = separator > 0 ? trimmed.slice(separator + 1) : trimmed;
+    keys.push({ label, hash: hashKey(key) });
+  });
+
+  return keys;
+}
+
+const apiKeys = loadApiKeys();
+
+const adminLabels = (process.env.ADMIN_KEY_LABELS || 'admin')
+  .split(',')
+  .map(label => label.trim())
+  .filter(Boolean);
+
+// Fail closed: a production deploy that forgot its keys must not run open
+if (apiKeys.length === 0) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('API_KEY or API_KEYS must be set when NODE_ENV is production');
+  }
+  console.warn('No API_KEY or API_KEYS configured, API key authentication is disabled except for admin routes');
+}
+
+// Return the label of a matching key, or null if the key is not valid
+function findApiKey(key) {
+  if (typeof key !== 'string' || !key) {
+    return null;
+  }
+
+  const hash = hashKey(key);
+  const match = apiKeys.find(apiKey => crypto.timingSafeEqual(apiKey.hash, hash));
+  return match ? match.label : null;
+}
+
+// Extract the API key from an X-API-Key or Bearer header, or an api_key query parameter
+function getRequestApiKey(req) {
+  const header = req.headers['x-api-key'];
+  if (header) {
+    return header;
+  }
+
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  return url.searchParams.get('api_key');
+}
+
+// Authenticate a request, returning the key label or null.
+// Everything is allowed when no keys are configured.
+function authenticateRequest(req) {
+  if (apiKeys.length === 0) {
+    return 'anonymous';
+  }
+  return findApiKey(getRequestApiKey(req));
+}
+
+// Express middleware rejecting requests without a valid API key
+function requireApiKey(req, res, next) {
+  const label = authenticateRequest(req);
+
+  if (!label) {
+    return res.status(401).json({
+      code: 'UNAUTHORIZED',
+      message: 'A valid API key is required'
+    });
+  }
+
+  req.apiKeyLabel = label;
+  next();
+}
+
+// Express middleware, after requireApiKey, limiting a route to admin keys.
+// Admin routes stay closed even when no keys are configured.
+function requireAdminKey(req, res, next) {
+  if (!adminLabels.includes(req.apiKeyLabel)) {
+    return res.status(403).json({
+      code: 'FORBIDDEN',
+      message: 'An admin API key is required'
+    });
+  }
+  next();
+}
+
+// Create a new owner secret for a session. Only its hash is written to disk.
+function issueSessionSecret(secretPath) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  fs.writeFileSync(secretPath, hashKey(secret).toString('hex'), { mode: 0o600 });
+  return secret;
+}
+
+// Check a session owner secret against the stored hash
+function verifySessionSecret(secretPath, secret) {
+  if (typeof secret !== 'string' || !secret || !fs.existsSync(secretPath)) {
+    return false;
+  }
+
+  const expected = Buffer.from(fs.readFileSync(secretPath, 'utf8').trim(), 'hex');
+  const actual = hashKey(secret);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Delete a session's owner secret
+function removeSessionSecret(secretPath) {
+  fs.rmSync(secretPath, { force: true });
+}
+
+module.exports = {
+  authenticateRequest,
+  requireApiKey,
+  requireAdminKey,
+  issueSessionSecret,
+  verifySessionSecret,
+  removeSessionSecret
+};
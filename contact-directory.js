@@ -0,0 +1,184 @@
+// Per-session contact directory, used to show status authors by name.
+// Built from contacts.upsert/contacts.update (which also carry the address
+// book from app state sync), history sync and pushName on incoming messages,
+// and saved as JSON next to the session's auth state.
+const fs = require('fs');
+
+// Wait this long after a change before writing, so bursts of updates
+// (e.g. the initial address book sync) are saved once
+const SAVE_DELAY_MS = 5000;
+
+// sessionId -> { filePath, contacts: Map(jid -> contact), saveTimer }
+const directories = new Map();
+
+// Load a session's directory from disk. A directory already in memory
+// (e.g. when a dropped connection is re-established) is kept as it is.
+function loadContacts(sessionId, filePath) {
+  if (directories.has(sessionId)) {
+    return directories.get(sessionId).contacts.size;
+  }
+
+  const directory = { filePath, contacts: new Map(), saveTimer: null };
+  directories.set(sessionId, directory);
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    saved.forEach(contact => directory.contacts.set(contact.id, contact));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.error(`Error loading contacts for session ${sessionId}:`, err);
+    }
+  }
+
+  return directory.contacts.size;
+}
+
+// Write a session's directory to disk now
+function saveContacts(sessionId) {
+  const directory = directories.get(sessionId);
+  if (!directory) {
+    return;
+  }
+
+  clearTimeout(directory.saveTimer);
+  directory.saveTimer = null;
+
+  try {
+    // Write to a temp file first so a crash never leaves a truncated directory
+    const tempPath = `${directory.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(Array.from(directory.contacts.values())));
+    fs.renameSync(tempPath, directory.filePath);
+  } catch (err) {
+    console.error(`Error saving contacts for session ${sessionId}:`, err);
+  }
+}
+
+// Save a session's directory after SAVE_DELAY_MS, unless a save is already due
+function scheduleSave(sessionId) {
+  const directory = directories.get(sessionId);
+  if (directory && !directory.saveTimer) {
+    directory.saveTimer = setTimeout(() => saveContacts(sessionId), SAVE_DELAY_MS);
+  }
+}
+
+// Merge full or partial Baileys contacts into the directory.
+// Fields that are missing from an update keep their current value.
+function upsertContacts(sessionId, contacts) {
+  const directory = directories.get(sessionId);
+  if (!directory) {
+    return;
+  }
+
+  let changed = false;
+  contacts.forEach(update => {
+    if (!update?.id) {
+      return;
+    }
+
+    const contact = directory.contacts.get(update.id) || { id: update.id };
+    ['lid', 'name', 'notify', 'verifiedName', 'imgUrl', 'imgFetchedAt'].forEach(field => {
+      if (update[field] !== undefined && update[field] !== contact[field]) {
+        contact[field] = update[field];
+        changed = true;
+      }
+    });
+    directory.contacts.set(update.id, contact);
+  });
+
+  if (changed) {
+    scheduleSave(sessionId);
+  }
+}
+
+// Record the name a sender has set for themselves
+function setPushName(sessionId, jid, pushName) {
+  if (jid && pushName) {
+    upsertContacts(sessionId, [{ id: jid, notify: pushName }]);
+  }
+}
+
+// Look up a contact by JID (or LID)
+function getContact(sessionId, jid) {
+  const directory = directories.get(sessionId);
+  if (!directory || !jid) {
+    return null;
+  }
+
+  const contact = directory.contacts.get(jid);
+  if (contact) {
+    return contact;
+  }
+
+  for (const candidate of directory.contacts.values()) {
+    if (candidate.lid === jid) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+// Best name for a JID: the address book name, then the verified business
+// name, then the sender's own push name, then the phone number
+function getDisplayName(sessionId, jid) {
+  const contact = getContact(sessionId, jid);
+  return contact?.name || contact?.verifiedName || contact?.notify || (jid || '').split('@')[0] || 'Unknown';
+}
+
+// Contact as sent to clients
+function toClientContact(sessionId, contact) {
+  return {
+    jid: contact.id,
+    name: getDisplayName(sessionId, contact.id),
+    saved_name: contact.name || null,
+    push_name: contact.notify || null,
+    verified_name: contact.verifiedName || null,
+    profile_picture_url: contact.imgUrl && contact.imgUrl !== 'changed' ? contact.imgUrl : null
+  };
+}
+
+// Every contact in a session's directory, sorted by display name
+function listContacts(sessionId) {
+  const directory = directories.get(sessionId);
+  if (!directory) {
+    return [];
+  }
+
+  return Array.from(directory.contacts.values())
+    .map(contact => toClientContact(sessionId, contact))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// JIDs of the contacts saved in the account's address book, the audience
+// WhatsApp itself uses for "My contacts"
+function getAddressBookJids(sessionId) {
+  const directory = directories.get(sessionId);
+  if (!directory) {
+    return [];
+  }
+
+  return Array.from(directory.contacts.values())
+    .filter(contact => contact.name && contact.id.endsWith('@s.whatsapp.net'))
+    .map(contact => contact.id);
+}
+
+// Forget a session's directory without saving it, e.g. when its data is deleted
+function clearSession(sessionId) {
+  const directory = directories.get(sessionId);
+  if (directory) {
+    clearTimeout(directory.saveTimer);
+    directories.delete(sessionId);
+  }
+}
+
+module.exports = {
+  loadContacts,
+  saveContacts,
+  upsertContacts,
+  setPushName,
+  getContact,
+  getDisplayName,
+  toClientContact,
+  listContacts,
+  getAddressBookJids,
+  clearSession
+};
@@ -0,0 +1,153 @@
+// Per-session on-disk cache for status media, plus signed URLs for serving it.
+// Files live under MEDIA_CACHE_DIR/<sessionId>/<statusId>.<variant>
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MEDIA_CACHE_DIR = process.env.MEDIA_CACHE_DIR || './media_cache';
+
+// How long a signed media URL stays valid
+const MEDIA_URL_TTL_SECONDS = parseInt(process.env.MEDIA_URL_TTL_SECONDS, 10) || 60 * 60;
+
+// Secret used to sign media URLs. Without a configured secret, URLs stop
+// working after a restart, which clients recover from by refetching statuses.
+const MEDIA_URL_SECRET = process.env.MEDIA_URL_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.MEDIA_URL_SECRET) {
+  console.warn('MEDIA_URL_SECRET not set, using a random secret for this process');
+}
+
+// Only allow IDs that are safe to use as path segments
+const SAFE_ID = /^[A-Za-z0-9_-]+$/;
+
+// Downloads in progress, so concurrent requests share one download
+const pending = new Map();
+
+// Build the cache path for a session's status media
+function getMediaPath(sessionId, statusId, variant) {
+  if (!SAFE_ID.test(sessionId) || !SAFE_ID.test(statusId)) {
+    throw new Error('Invalid session or status ID');
+  }
+  return path.resolve(MEDIA_CACHE_DIR, sessionId, `${statusId}.${variant}`);
+}
+
+// Return the cached file path, or null if the media isn't cached yet
+function getCachedMedia(sessionId, statusId, variant) {
+  const filePath = getMediaPath(sessionId, statusId, variant);
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+// Return the cached file path, calling load() to fetch the bytes on a cache miss
+async function ensureMedia(sessionId, statusId, variant, load) {
+  const cached = getCachedMedia(sessionId, statusId, variant);
+  if (cached) {
+    return cached;
+  }
+
+  const filePath = getMediaPath(sessionId, statusId, variant);
+  if (!pending.has(filePath)) {
+    const download = (async () => {
+      const data = await load();
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      // Write to a temp file first so readers never see a partial file
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, data);
+      await fs.promises.rename(tempPath, filePath);
+      return filePath;
+    })().finally(() => pending.delete(filePath));
+
+    pending.set(filePath, download);
+  }
+
+  return pending.get(filePath);
+}
+
+// Delete a status's cached media and thumbnail
+async function removeStatusMedia(sessionId, statusId) {
+  if (!SAFE_ID.test(sessionId) || !SAFE_ID.test(statusId)) {
+    return;
+  }
+  await Promise.all(['media', 'thumbnail'].map(variant =>
+    fs.promises.rm(getMediaPath(sessionId, statusId, variant), { force: true })
+  ));
+}
+
+// Delete a session's cached files last written before the cutoff time.
+// Catches media left behind by statuses the in-memory store no longer knows
+// about, e.g. after a restart.
+async function pruneSessionMedia(sessionId, cutoff) {
+  if (!SAFE_ID.test(sessionId)) {
+    return;
+  }
+
+  const dir = path.resolve(MEDIA_CACHE_DIR, sessionId);
+  let names;
+  try {
+    names = await fs.promises.readdir(dir);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return;
+    }
+    throw err;
+  }
+
+  for (const name of names) {
+    const filePath = path.join(dir, name);
+    const stats = await fs.promises.stat(filePath).catch(() => null);
+    if (stats && stats.mtimeMs < cutoff) {
+      await fs.promises.rm(filePath, { force: true });
+    }
+  }
+}
+
+// IDs of every session with a media cache folder
+async function listCachedSessions() {
+  const names = await fs.promises.readdir(MEDIA_CACHE_DIR).catch(() => []);
+  return names.filter(name => SAFE_ID.test(name));
+}
+
+// Delete all cached media for a session
+async function removeSessionMedia(sessionId) {
+  if (!SAFE_ID.test(sessionId)) {
+    return;
+  }
+  await fs.promises.rm(path.resolve(MEDIA_CACHE_DIR, sessionId), { recursive: true, force: true });
+}
+
+// Compute the signature for a media path and expiry time
+function computeSignature(pathname, expires) {
+  return crypto
+    .createHmac('sha256', MEDIA_URL_SECRET)
+    .update(`${pathname}:${expires}`)
+    .digest('base64url');
+}
+
+// Build a signed, time-limited URL path for a status's media
+function signMediaPath(sessionId, statusId, variant) {
+  const pathname = `/sessions/${encodeURIComponent(sessionId)}/statuses/${encodeURIComponent(statusId)}/${variant}`;
+  const expires = Math.floor(Date.now() / 1000) + MEDIA_URL_TTL_SECONDS;
+  return `${pathname}?expires=${expires}&sig=${computeSignature(pathname, expires)}`;
+}
+
+// Check a signed media URL's expiry and signature
+function verifyMediaSignature(pathname, expires, sig) {
+  const expiresAt = parseInt(expires, 10);
+  if (!Number.isFinite(expiresAt) || expiresAt < Date.now() / 1000 || typeof sig !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(pathname, expiresAt));
+  const actual = Buffer.from(sig);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  MEDIA_CACHE_DIR,
+  getCachedMedia,
+  ensureMedia,
+  removeStatusMedia,
+  removeSessionMedia,
+  pruneSessionMedia,
+  listCachedSessions,
+  signMediaPath,
+  verifyMediaSignature
+};
@@ -0,0 +1,61 @@
+// Origin allow-list from ALLOWED_ORIGINS, shared by CORS and the WebSocket upgrade.
+// Entries are comma-separated and may be exact origins (https://app.example.com),
+// wildcard subdomains (https://*.example.com, or *.example.com for any scheme) or *.
+
+// Parse ALLOWED_ORIGINS into a list of matcher functions
+function parseAllowedOrigins(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase().replace(/\/$/, ''))
+    .filter(Boolean)
+    .map(entry => {
+      if (entry === '*') {
+        return () => true;
+      }
+
+      const hasScheme = entry.includes('://');
+      const scheme = hasScheme ? entry.slice(0, entry.indexOf('://') + 3) : '';
+      const host = hasScheme ? entry.slice(scheme.length) : entry;
+
+      if (host.startsWith('*.')) {
+        // *.example.com matches any subdomain, but not example.com itself
+        const suffix = host.slice(1);
+        return origin => (!scheme || origin.startsWith(scheme)) &&
+          getHost(origin).endsWith(suffix);
+      }
+
+      return origin => hasScheme ? origin === entry : getHost(origin) === host;
+    });
+}
+
+// Host (with port) part of an origin
+function getHost(origin) {
+  const index = origin.indexOf('://');
+  return index === -1 ? origin : origin.slice(index + 3);
+}
+
+const allowedOrigins = parseAllowedOrigins(process.env.ALLOWED_ORIGINS || '*');
+
+// Whether a request Origin is allowed. Requests without an Origin header
+// (native apps, server-to-server calls) are not subject to origin checks.
+function isOriginAllowed(origin) {
+  if (!origin) {
+    return true;
+  }
+  const normalized = origin.toLowerCase();
+  return allowedOrigins.some(matches => matches(normalized));
+}
+
+// Origin callback for the cors middleware, logging rejected origins
+function corsOrigin(origin, callback) {
+  if (isOriginAllowed(origin)) {
+    return callback(null, true);
+  }
+  console.warn(`Rejected CORS request from origin: ${origin}`);
+  callback(null, false);
+}
+
+module.exports = {
+  isOriginAllowed,
+  corsOrigin
+};
@@ -0,0 +1,198 @@
+// WebSocket protocol definition: supported versions, the catalogue of
+// client and server messages, and validation of inbound client messages.
+const { STATUS_KINDS, MEDIA_MODES } = require('./status-filters');
+
+const PROTOCOL_VERSION = 1;
+const SUPPORTED_VERSIONS = [1];
+
+// Fields allowed on every client message
+const COMMON_FIELDS = {
+  type: { type: 'string', required: true, description: 'Message type' },
+  request_id: { type: ['string', 'number'], description: 'Echoed on every reply, ack and error caused by this message' }
+};
+
+// Messages the client may send, with their fields
+const CLIENT_MESSAGES = {
+  heartbeat: {
+    description: 'Keep the client marked active',
+    fields: {}
+  },
+  request_status_updates: {
+    description: 'Replay stored statuses as status_update pages followed by status_fetch_complete',
+    fields: {
+      since: { type: ['string', 'number'], description: 'Opaque cursor from a previous status_update or status_fetch_complete; cursors from before a restart replay everything' }
+    }
+  },
+  request_media: {
+    description: 'Fetch a status\'s media as media_data',
+    fields: {
+      status_id: { type: 'string', required: true }
+    }
+  },
+  request_thumbnail: {
+    description: 'Fetch a status\'s thumbnail as thumbnail_data',
+    fields: {
+      status_id: { type: 'string', required: true }
+    }
+  },
+  set_qr_format: {
+    description: 'Choose how QR codes are sent; the current QR code is resent',
+    fields: {
+      format: { type: 'string', required: true, enum: ['png', 'svg', 'raw'] }
+    }
+  },
+  request_pairing_code: {
+    description: 'Link by phone number instead of QR code; replies with pairing_code',
+    fields: {
+      phone_number: { type: 'string', required: true, description: 'Number including country code' }
+    }
+  },
+  post_status: {
+    description: 'Post a status as the session\'s own account; replies with status_posted',
+    fields: {
+      kind: { type: 'string', required: true, enum: ['text', 'image', 'video'] },
+      text: { type: 'string', description: 'Text of a text status' },
+      background_color: { type: 'string', description: 'Text status background, #RRGGBB or #AARRGGBB' },
+      font: { type: ['string', 'number'], description: 'Text status font name, as reported in received status metadata' },
+      media: { type: 'string', description: 'Base64 image or video' },
+      mime_type: { type: 'string' },
+      caption: { type: 'string' },
+      audience: { type: 'array', items: { type: 'string' }, description: 'JIDs or phone numbers from the contact directory; defaults to all saved contacts' }
+    }
+  },
+  subscribe: {
+    description: 'Set this client\'s status filters, replacing any previous ones; kept across reconnects with the same client_id',
+    fields: {
+      allow_authors: { type: 'array', items: { type: 'string' }, description: 'Only statuses from these JIDs or phone numbers' },
+      deny_authors: { type: 'array', items: { type: 'string' }, description: 'Never statuses from these JIDs or phone numbers' },
+      kinds: { type: 'array', items: { type: 'string', enum: STATUS_KINDS }, description: 'Only statuses of these kinds' },
+      media: { type: 'string', enum: MEDIA_MODES, description: 'inline adds base64 media_data to each status; reference (default) sends signed URLs only' }
+    }
+  },
+  set_session_settings: {
+    description: 'Change session settings; replies with session_settings',
+    fields: {
+      view_receipts: { type: 'boolean', description: 'Allow mark_status_viewed to send read receipts (default false)' },
+      webhook_url: { type: 'string', description: 'Extra webhook target for this session\'s events' }
+    }
+  },
+  mark_status_viewed: {
+    description: 'Send a read receipt for a status; only allowed when view_receipts is on',
+    fields: {
+      status_id: { type: 'string', required: true }
+    }
+  },
+  request_contacts: {
+    description: 'Fetch the session\'s contact directory as contacts',
+    fields: {}
+  },
+  disconnect: {
+    description: 'Log the session out of WhatsApp',
+    fields: {}
+  }
+};
+
+// Messages the server may send
+const SERVER_MESSAGES = {
+  hello: 'Sent on connect with the negotiated protocol_version and client_id',
+  connection_success: 'Session created (with session_id and session_secret) or reattached',
+  qr_code_status: 'QR code (data, format, sequence, expires_at) or connection status: generated, connected, disconnected, qr_timeout, error',
+  connection_status: 'Reconnect progress: status, attempt, max_attempts, next_retry_at, reason',
+  pairing_code: 'Pairing code with phone_number and expires_at',
+  status_fetch_start: 'Start of a status backlog replay',
+  status_update: 'Statuses (each with author, author_jid, profile_picture_url, kind, view_once, metadata and expires_at), with a since cursor; backlog pages also carry page and total_pages',
+  status_deleted: 'A status was deleted by its author: status_id and author',
+  status_expired: 'A status passed the retention period and was purged: status_id, author and expires_at',
+  status_fetch_complete: 'End of a status backlog replay, with count and since cursor',
+  subscribed: 'The filters now applied to this client',
+  session_settings: 'The session\'s settings after a change',
+  status_viewed: 'A read receipt was sent for status_id',
+  status_posted: 'A posted status was sent: status_id and audience_size',
+  contacts: 'The contact directory: jid, name, saved_name, push_name, verified_name, profile_picture_url',
+  media_data: 'Base64 media for a status',
+  thumbnail_data: 'Base64 JPEG thumbnail for a status',
+  disconnected: 'The session was logged out',
+  ack: 'A client message carrying a request_id was handled and had no other reply',
+  error: 'An error with code and message'
+};
+
+// Type name of a value, telling arrays apart from objects
+function typeOf(value) {
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+// Check a value against a field's type (a type name or list of names)
+function matchesType(value, type) {
+  const types = Array.isArray(type) ? type : [type];
+  return types.includes(typeOf(value));
+}
+
+// Validate a parsed client message. Returns null when valid, otherwise
+// an error with code UNKNOWN_MESSAGE_TYPE or INVALID_PAYLOAD.
+function validateClientMessage(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data) || typeof data.type !== 'string') {
+    return { code: 'INVALID_PAYLOAD', message: 'Message must be a JSON object with a string type' };
+  }
+
+  const definition = CLIENT_MESSAGES[data.type];
+  if (!definition) {
+    return { code: 'UNKNOWN_MESSAGE_TYPE', message: `Unknown message type: ${data.type}` };
+  }
+
+  const fields = { ...COMMON_FIELDS, ...definition.fields };
+
+  for (const [name, field] of Object.entries(fields)) {
+    const value = data[name];
+    if (value === undefined || value === null) {
+      if (field.required) {
+        return { code: 'INVALID_PAYLOAD', message: `${data.type}: ${name} is required` };
+      }
+      continue;
+    }
+    if (!matchesType(value, field.type)) {
+      return { code: 'INVALID_PAYLOAD', message: `${data.type}: ${name} must be ${[].concat(field.type).join(' or ')}` };
+    }
+    if (field.enum && !field.enum.includes(value)) {
+      return { code: 'INVALID_PAYLOAD', message: `${data.type}: ${name} must be one of ${field.enum.join(', ')}` };
+    }
+    if (field.items) {
+      const invalid = value.find(item => !matchesType(item, field.items.type) ||
+        (field.items.enum && !field.items.enum.includes(item)));
+      if (invalid !== undefined) {
+        const expected = field.items.enum ? `one of ${field.items.enum.join(', ')}` : [].concat(field.items.type).join(' or ');
+        return { code: 'INVALID_PAYLOAD', message: `${data.type}: ${name} items must be ${expected}` };
+      }
+    }
+  }
+
+  return null;
+}
+
+// Pick the protocol version for a connection from the client's requested
+// version, or null if it isn't supported
+function negotiateVersion(requested) {
+  if (requested === null || requested === undefined || requested === '') {
+    return PROTOCOL_VERSION;
+  }
+  const version = parseInt(requested, 10);
+  return SUPPORTED_VERSIONS.includes(version) ? version : null;
+}
+
+// Full protocol description, published at GET /protocol
+function describeProtocol() {
+  return {
+    version: PROTOCOL_VERSION,
+    supported_versions: SUPPORTED_VERSIONS,
+    common_fields: COMMON_FIELDS,
+    client_messages: CLIENT_MESSAGES,
+    server_messages: SERVER_MESSAGES
+  };
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  SUPPORTED_VERSIONS,
+  validateClientMessage,
+  negotiateVersion,
+  describeProtocol
+};
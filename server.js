@@ -1,9 +1,8 @@
 const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
-const { makeWASocket, useMultiFileAuthState, Browsers, DisconnectReason } = require('baileys');
+const { makeWASocket, useMultiFileAuthState, Browsers, DisconnectReason, downloadMediaMessage } = require('baileys');
 const qrcode = require('qrcode');
-const { Boom } = require('@hapi/boom');
 const fs = require('fs');
 const path = require('path');
 const cors = require('cors');
@@ -11,12 +10,26 @@ const NodeCache = require('node-cache');
 const { v4: uuidv4 } = require('uuid');
 const dotenv = require('dotenv');
 
-// Load environment variables
+// Load environment variables before local modules read their settings
 dotenv.config();
 
+const statusStore = require('./status-store');
+const mediaCache = require('./media-cache');
+const thumbnails = require('./thumbnails');
+const auth = require('./auth');
+const origins = require('./origins');
+const protocol = require('./protocol');
+const contactDirectory = require('./contact-directory');
+const statusFilters = require('./status-filters');
+const sessionSettings = require('./session-settings');
+const webhooks = require('./webhooks');
+const statusPoster = require('./status-poster');
+const statusExport = require('./status-export');
+const { normalizeStatusMessage, getRevokedStatusId, isProtocolMessage } = require('./status-normalizer');
+
 // Initialize Express app
 const app = express();
-app.use(cors());
+app.use(cors({ origin: origins.corsOrigin }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -24,7 +37,73 @@ app.use(express.urlencoded({ extended: true }));
 const server = http.createServer(app);
 
 // Create WebSocket server
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({
+  server,
+  // Reject upgrades from disallowed origins or without a valid API key
+  // before the WebSocket is accepted
+  verifyClient: (info, done) => {
+    if (!origins.isOriginAllowed(info.origin)) {
+      console.warn(`Rejected WebSocket upgrade from origin: ${info.origin}`);
+      return done(false, 403, 'Origin not allowed');
+    }
+    
+    const label = auth.authenticateRequest(info.req);
+    if (!label) {
+      console.warn(`Rejected WebSocket upgrade without a valid API key from ${info.req.socket.remoteAddress}`);
+      return done(false, 401, 'Unauthorized');
+    }
+    info.req.apiKeyLabel = label;
+    done(true);
+  }
+});
+
+// Base URL used for media links in status payloads; relative links when unset
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/$/, '');
+
+// WebSocket liveness: how often to ping clients and how long to wait for a pong
+const WS_PING_INTERVAL = parseInt(process.env.WS_PING_INTERVAL, 10) || 30000;
+const WS_PING_TIMEOUT = parseInt(process.env.WS_PING_TIMEOUT, 10) || 10000;
+
+// Session lifetimes: unlinked sessions end after QR_TIMEOUT_MINUTES, linked
+// sessions close after MAX_INACTIVE_TIME_HOURS without a client, and session
+// data is deleted after SESSION_TIMEOUT_HOURS without a client
+const QR_TIMEOUT_MS = (parseFloat(process.env.QR_TIMEOUT_MINUTES) || 10) * 60 * 1000;
+const MAX_INACTIVE_TIME_HOURS = parseFloat(process.env.MAX_INACTIVE_TIME_HOURS) || 24;
+const MAX_INACTIVE_TIME_MS = MAX_INACTIVE_TIME_HOURS * 60 * 60 * 1000;
+const SESSION_TIMEOUT_HOURS = parseFloat(process.env.SESSION_TIMEOUT_HOURS) || 72;
+const SESSION_TIMEOUT_MS = SESSION_TIMEOUT_HOURS * 60 * 60 * 1000;
+
+// QR lifecycle: how long each QR code is shown, how many are generated
+// before giving up, and the formats clients can ask for
+const QR_TTL_MS = (parseInt(process.env.QR_TTL_SECONDS, 10) || 30) * 1000;
+const QR_MAX_REFRESHES = parseInt(process.env.QR_MAX_REFRESHES, 10) || 6;
+const QR_FORMATS = ['png', 'svg', 'raw'];
+
+// Reconnect backoff after an unexpected disconnect
+const RECONNECT_BASE_DELAY_MS = parseInt(process.env.RECONNECT_BASE_DELAY_MS, 10) || 2000;
+const RECONNECT_MAX_DELAY_MS = parseInt(process.env.RECONNECT_MAX_DELAY_MS, 10) || 5 * 60 * 1000;
+const RECONNECT_MAX_ATTEMPTS = parseInt(process.env.RECONNECT_MAX_ATTEMPTS, 10) || 10;
+
+// How long WhatsApp accepts a pairing code once issued
+const PAIRING_CODE_TTL_MS = 3 * 60 * 1000;
+
+// How long to wait for a stopped session to connect so it can be logged out
+const LOGOUT_CONNECT_TIMEOUT_MS = 30 * 1000;
+
+// Delay between restoring each linked session at startup
+const SESSION_RESTORE_STAGGER_MS = parseInt(process.env.SESSION_RESTORE_STAGGER_MS, 10) || 2000;
+
+// Number of statuses per status_update page when replaying the backlog
+const STATUS_PAGE_SIZE = 20;
+
+// How long a fetched profile picture URL is reused before asking WhatsApp again
+const PROFILE_PICTURE_TTL_MS = (parseFloat(process.env.PROFILE_PICTURE_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// How often the webhook queue is checked for deliveries due a retry
+const WEBHOOK_POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 5000;
+
+// How often expired statuses are purged
+const STATUS_EXPIRY_INTERVAL_MS = parseInt(process.env.STATUS_EXPIRY_INTERVAL_SECONDS, 10) * 1000 || 60 * 1000;
 
 // Cache for group metadata
 const groupCache = new NodeCache({ stdTTL: 5 * 60, useClones: false });
@@ -33,23 +112,381 @@ const groupCache = new NodeCache({ stdTTL: 5 * 60, useClones: false });
 const clients = new Map();
 const sessions = new Map();
 
+// sessionId -> Set of clientIds with an open socket on that session
+const subscribers = new Map();
+
 // Sessions directory
 const SESSION_DIR = './auth_sessions';
 if (!fs.existsSync(SESSION_DIR)) {
   fs.mkdirSync(SESSION_DIR, { recursive: true });
 }
 
+// Register a client to receive a session's events
+function subscribeClient(sessionId, clientId) {
+  if (!subscribers.has(sessionId)) {
+    subscribers.set(sessionId, new Set());
+  }
+  subscribers.get(sessionId).add(clientId);
+}
+
+// Stop sending a session's events to a client
+function unsubscribeClient(sessionId, clientId) {
+  const sessionSubscribers = subscribers.get(sessionId);
+  if (sessionSubscribers) {
+    sessionSubscribers.delete(clientId);
+    if (sessionSubscribers.size === 0) {
+      subscribers.delete(sessionId);
+    }
+  }
+}
+
+// Send a message to every open socket subscribed to a session
+function sendToSession(sessionId, payload) {
+  const sessionSubscribers = subscribers.get(sessionId);
+  if (!sessionSubscribers) {
+    return;
+  }
+  
+  const message = JSON.stringify(payload);
+  sessionSubscribers.forEach(clientId => {
+    const client = clients.get(clientId);
+    if (client?.ws && client.ws.readyState === WebSocket.OPEN) {
+      client.ws.send(message);
+    }
+  });
+}
+
+// Send new statuses to a session's subscribers, each getting only the
+// statuses that pass its filters
+async function sendStatusesToSession(sessionId, entries) {
+  const sessionSubscribers = subscribers.get(sessionId);
+  if (!sessionSubscribers) {
+    return;
+  }
+  
+  const since = statusStore.getCursor(sessionId);
+  
+  for (const clientId of sessionSubscribers) {
+    const client = clients.get(clientId);
+    if (!client?.ws || client.ws.readyState !== WebSocket.OPEN) {
+      continue;
+    }
+    
+    const statuses = await buildClientStatuses(sessionId, entries, client.filters);
+    if (statuses.length > 0 && client.ws.readyState === WebSocket.OPEN) {
+      client.ws.send(JSON.stringify({ type: 'status_update', statuses, since }));
+    }
+  }
+}
+
+// Queue an event for the global webhook targets and the session's own
+// webhook_url. Needs to run before the session's data is deleted.
+function notifyWebhooks(sessionId, type, data) {
+  try {
+    webhooks.enqueueEvent([getSessionSettings(sessionId).webhook_url], sessionId, type, data);
+  } catch (err) {
+    console.error(`Error queueing ${type} webhook for session ${sessionId}:`, err);
+  }
+}
+
+// Linking state of a session: qr_pending, connecting, open, stopped (linked
+// but not running) or logged_out
+function getSessionState(sessionId) {
+  const session = sessions.get(sessionId);
+  
+  if (session) {
+    if (!isLinked(session.socket.authState.creds)) {
+      return 'qr_pending';
+    }
+    return session.connection === 'open' ? 'open' : 'connecting';
+  }
+  
+  return hasLinkedCreds(sessionId) ? 'stopped' : 'logged_out';
+}
+
+// Render a QR string in one of QR_FORMATS
+async function renderQr(qr, format) {
+  if (format === 'raw') {
+    return qr;
+  }
+  if (format === 'svg') {
+    return qrcode.toString(qr, { type: 'svg' });
+  }
+  return qrcode.toDataURL(qr);
+}
+
+// Send a qr_code_status to one client, rendering the QR in the client's format
+async function sendQrStatusToClient(client, currentQr, status, message = '') {
+  if (!client?.ws || client.ws.readyState !== WebSocket.OPEN) {
+    return;
+  }
+  
+  const payload = {
+    type: 'qr_code_status',
+    status,
+    data: currentQr ? await renderQr(currentQr.qr, client.qrFormat) : null,
+    message
+  };
+  
+  if (currentQr) {
+    payload.format = client.qrFormat;
+    payload.sequence = currentQr.sequence;
+    payload.expires_at = new Date(currentQr.expiresAt).toISOString();
+  }
+  
+  client.ws.send(JSON.stringify(payload));
+}
+
+// Send a qr_code_status to every client on a session
+async function sendQrStatus(sessionId, currentQr, status, message = '') {
+  const sessionSubscribers = subscribers.get(sessionId) || new Set();
+  await Promise.all([...sessionSubscribers].map(clientId =>
+    sendQrStatusToClient(clients.get(clientId), currentQr, status, message)));
+}
+
+// Build the sendQrToClient callback for a session, which broadcasts QR and
+// connection status to every client attached to it
+function createSessionNotifier(sessionId) {
+  return (currentQr, status, message = '') => {
+    sendQrStatus(sessionId, currentQr, status, message)
+      .catch(err => console.error('QR generation error:', err));
+  };
+}
+
+// Session IDs double as folder names under SESSION_DIR
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Path of the file holding a session's owner secret hash, next to its auth folder
+function getSessionSecretPath(sessionId) {
+  return path.join(SESSION_DIR, `${sessionId}.secret`);
+}
+
+// Path of a session's settings file, next to its auth state
+function getSessionSettingsPath(sessionId) {
+  return path.join(SESSION_DIR, sessionId, 'settings.json');
+}
+
+// A session's settings, with private defaults
+function getSessionSettings(sessionId) {
+  return sessionSettings.getSettings(getSessionSettingsPath(sessionId));
+}
+
+// Whether a session was linked before owner secrets existed: it has auth
+// state but no secret file
+function isLegacySession(sessionId) {
+  return fs.existsSync(path.join(SESSION_DIR, sessionId)) && !fs.existsSync(getSessionSecretPath(sessionId));
+}
+
+// Whether a session is running or has auth state on disk
+function sessionExists(sessionId) {
+  return sessions.has(sessionId) ||
+    fs.existsSync(path.join(SESSION_DIR, sessionId)) ||
+    fs.existsSync(getSessionSecretPath(sessionId));
+}
+
+// Stop a running session's socket without logging out, so it doesn't reconnect
+function closeSession(sessionId, reason) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    return;
+  }
+  
+  console.log(`Closing session ${sessionId}: ${reason}`);
+  session.closed = true;
+  clearTimeout(session.reconnectTimer);
+  sessions.delete(sessionId);
+  session.socket.end(undefined);
+  teardownSocket(session.socket);
+  contactDirectory.saveContacts(sessionId);
+}
+
+// Remove all event listeners from a finished socket so they can't leak or fire again
+function teardownSocket(socket) {
+  socket.ev.removeAllListeners();
+}
+
+// Jittered exponential backoff: half the capped exponential delay, plus up to the other half at random
+function getReconnectDelay(attempt) {
+  const delay = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+// Reconnect a dropped session after a backoff delay, giving up after
+// RECONNECT_MAX_ATTEMPTS. The session stays registered while it waits.
+function scheduleReconnect(sessionId, session, reason) {
+  const attempt = session.reconnectAttempt + 1;
+  
+  if (attempt > RECONNECT_MAX_ATTEMPTS) {
+    console.log(`Giving up on session ${sessionId} after ${RECONNECT_MAX_ATTEMPTS} reconnect attempts`);
+    sessions.delete(sessionId);
+    session.sendQrToClient(null, 'disconnected', 'Could not reconnect to WhatsApp');
+    return;
+  }
+  
+  const delay = getReconnectDelay(attempt);
+  console.log(`Reconnecting session ${sessionId} in ${delay}ms (attempt ${attempt}/${RECONNECT_MAX_ATTEMPTS})`);
+  
+  sendToSession(sessionId, {
+    type: 'connection_status',
+    status: 'reconnecting',
+    attempt,
+    max_attempts: RECONNECT_MAX_ATTEMPTS,
+    next_retry_at: new Date(Date.now() + delay).toISOString(),
+    reason
+  });
+  
+  session.reconnectTimer = setTimeout(() => {
+    if (session.closed) {
+      return;
+    }
+    restartSession(sessionId, session, attempt);
+  }, delay);
+}
+
+// Start a new socket for a session whose connection closed. The old record
+// stays registered until the new one replaces it, so it can still be found
+// and closed meanwhile; a failed start is retried with backoff.
+function restartSession(sessionId, session, reconnectAttempt) {
+  return startWhatsAppSession(sessionId, session.sendQrToClient, {
+    qrSequence: session.qrSequence,
+    reconnectAttempt
+  }).then(() => {
+    // Closed while the new socket was starting
+    if (session.closed) {
+      closeSession(sessionId, 'closed while reconnecting');
+    }
+  }).catch(err => {
+    console.error(`Failed to reconnect session ${sessionId}: ${err.message}`);
+    if (!session.closed) {
+      session.reconnectAttempt = reconnectAttempt;
+      scheduleReconnect(sessionId, session, err.message);
+    }
+  });
+}
+
+// Start a stopped, linked session and wait until it connects, so it can be
+// logged out of WhatsApp rather than just having its creds dropped.
+// Returns null if WhatsApp reports the device as already logged out.
+async function connectStoppedSession(sessionId) {
+  await startWhatsAppSession(sessionId, createSessionNotifier(sessionId));
+  const session = sessions.get(sessionId);
+  
+  try {
+    await session.socket.waitForConnectionUpdate(
+      ({ connection }) => connection === 'open' || connection === 'close',
+      LOGOUT_CONNECT_TIMEOUT_MS
+    );
+  } catch (err) {
+    // Timed out, handled below
+  }
+  
+  if (session.connection === 'open') {
+    return session;
+  }
+  
+  closeSession(sessionId, 'could not connect to log out');
+  // A loggedOut close has already removed the session's data
+  if (hasLinkedCreds(sessionId)) {
+    throw createStatusError('NOT_CONNECTED', 'Could not connect to WhatsApp to log out, try again later');
+  }
+  return null;
+}
+
+// Log a session out of WhatsApp and remove its data, starting it first if
+// it is linked but not running
+async function logoutSession(sessionId, reason) {
+  let session = sessions.get(sessionId);
+  if (!session && hasLinkedCreds(sessionId)) {
+    session = await connectStoppedSession(sessionId);
+    if (!session) {
+      return;
+    }
+  }
+  if (!session) {
+    throw createStatusError('NO_SESSION', 'No active WhatsApp session');
+  }
+  
+  // logout() closes the socket as loggedOut; mark the session closed first so
+  // the close handler leaves the cleanup below to us
+  session.closed = true;
+  clearTimeout(session.reconnectTimer);
+  sessions.delete(sessionId);
+  
+  try {
+    await session.socket.logout();
+  } finally {
+    session.socket.end(undefined);
+    teardownSocket(session.socket);
+  }
+  notifyWebhooks(sessionId, 'logged_out', { reason });
+  deleteSessionData(sessionId, reason);
+  
+  sendToSession(sessionId, {
+    type: 'disconnected',
+    message: 'Logged out from WhatsApp'
+  });
+}
+
+// Remove everything stored for a session: auth state, owner secret, statuses and media
+function deleteSessionData(sessionId, reason) {
+  console.log(`Deleting data for session ${sessionId}: ${reason}`);
+  statusStore.clearSession(sessionId);
+  contactDirectory.clearSession(sessionId);
+  mediaCache.removeSessionMedia(sessionId).catch(err => console.error('Error removing cached media:', err));
+  auth.removeSessionSecret(getSessionSecretPath(sessionId));
+  sessionSettings.forgetSettings(getSessionSettingsPath(sessionId));
+  fs.rmSync(path.join(SESSION_DIR, sessionId), { recursive: true, force: true });
+}
+
+// Record client activity on a session, persisted as the secret file's mtime
+function touchSession(sessionId) {
+  const now = new Date();
+  try {
+    fs.utimesSync(getSessionSecretPath(sessionId), now, now);
+  } catch (err) {
+    // Sessions created before owner secrets existed have no secret file
+  }
+}
+
+// When a client was last seen on a session, across restarts
+function getSessionLastSeen(sessionId) {
+  let lastSeen = 0;
+  
+  clients.forEach(client => {
+    if (client.sessionId === sessionId) {
+      lastSeen = Math.max(lastSeen, client.ws ? Date.now() : client.lastActivity);
+    }
+  });
+  
+  for (const filePath of [getSessionSecretPath(sessionId), path.join(SESSION_DIR, sessionId)]) {
+    try {
+      lastSeen = Math.max(lastSeen, fs.statSync(filePath).mtimeMs);
+      break;
+    } catch (err) {
+      // Try the next marker
+    }
+  }
+  
+  return lastSeen;
+}
+
 // Helper to start a WhatsApp session
-async function startWhatsAppSession(sessionId, sendQrToClient) {
+// options.qrSequence and options.reconnectAttempt carry state across reconnects
+async function startWhatsAppSession(sessionId, sendQrToClient, options = {}) {
   try {
     const sessionFolder = path.join(SESSION_DIR, sessionId);
     const { state, saveCreds } = await useMultiFileAuthState(sessionFolder);
+    contactDirectory.loadContacts(sessionId, path.join(sessionFolder, 'contacts.json'));
     
     // Configuration for socket
     const socket = makeWASocket({
       auth: state,
-      printQRInTerminal: true,
+      // Keep QR codes out of production logs
+      printQRInTerminal: process.env.NODE_ENV !== 'production',
+      qrTimeout: QR_TTL_MS,
       browser: Browsers.ubuntu('WhatsApp Status Viewer'),
+      // Staying offline keeps automatic delivery receipts "inactive", so
+      // contacts never see this device as online or messages as seen
       markOnlineOnConnect: false,
       syncFullHistory: false,
       getMessage: async (key) => {
@@ -61,66 +498,159 @@ async function startWhatsAppSession(sessionId, sendQrToClient) {
       }
     });
     
+    guardReceipts(socket, sessionId);
+    
+    // Session record; sendQrToClient is swapped when a client attaches later
+    const session = {
+      socket,
+      startTime: Date.now(),
+      sendQrToClient,
+      qrSequence: options.qrSequence || 0,
+      currentQr: null,
+      connection: 'connecting',
+      reconnectAttempt: options.reconnectAttempt || 0,
+      reconnectTimer: null
+    };
+    
     // Handle connection update
     socket.ev.on('connection.update', async (update) => {
       const { connection, lastDisconnect, qr } = update;
       
+      if (connection) {
+        session.connection = connection;
+      }
+      
       if (qr) {
-        // Generate QR code as data URL
-        try {
-          const qrImage = await qrcode.toDataURL(qr);
-          sendQrToClient(qrImage, 'generated');
-        } catch (error) {
-          console.error('QR generation error:', error);
+        session.qrSequence += 1;
+        
+        // Give up instead of generating QR codes forever
+        if (session.qrSequence > QR_MAX_REFRESHES) {
+          console.log(`QR code not scanned after ${QR_MAX_REFRESHES} refreshes for session: ${sessionId}`);
+          session.currentQr = null;
+          session.sendQrToClient(null, 'qr_timeout', 'QR code was not scanned in time');
+          closeSession(sessionId, 'QR code not scanned in time');
+          deleteSessionData(sessionId, 'never linked');
+          return;
         }
+        
+        session.currentQr = {
+          qr,
+          sequence: session.qrSequence,
+          expiresAt: Date.now() + QR_TTL_MS
+        };
+        session.sendQrToClient(session.currentQr, 'generated');
       }
       
       if (connection === 'close') {
-        const shouldReconnect = (lastDisconnect?.error instanceof Boom && 
-          lastDisconnect.error.output?.statusCode !== DisconnectReason.loggedOut);
+        // Closed on purpose by closeSession, don't reconnect
+        if (session.closed) {
+          return;
+        }
         
-        console.log(`Connection closed due to ${lastDisconnect?.error?.message || 'unknown reason'}`);
+        const statusCode = lastDisconnect?.error?.output?.statusCode;
+        const reason = lastDisconnect?.error?.message || 'unknown reason';
+        console.log(`Connection closed for session ${sessionId} due to ${reason} (${statusCode})`);
         
-        // Reconnect if not logged out
-        if (shouldReconnect) {
-          console.log('Reconnecting...');
-          sessions.delete(sessionId);
-          await startWhatsAppSession(sessionId, sendQrToClient);
-        } else {
-          console.log('Connection closed. Logged out.');
-          sendQrToClient(null, 'disconnected', 'Logged out from WhatsApp');
-          // Clean up session
-          sessions.delete(sessionId);
+        // This socket is done; drop its listeners before a new one is created
+        teardownSocket(socket);
+        
+        switch (statusCode) {
+          case DisconnectReason.restartRequired:
+            // Expected right after linking, reconnect straight away
+            await restartSession(sessionId, session, 0);
+            break;
+            
+          case DisconnectReason.loggedOut:
+          case DisconnectReason.forbidden:
+          case DisconnectReason.multideviceMismatch:
+            console.log('Connection closed. Logged out.');
+            session.sendQrToClient(null, 'disconnected', 'Logged out from WhatsApp');
+            // Clean up session
+            sessions.delete(sessionId);
+            notifyWebhooks(sessionId, 'logged_out', { reason });
+            deleteSessionData(sessionId, 'logged out');
+            break;
+            
+          case DisconnectReason.badSession:
+            // The stored auth state is unusable, so the account must be linked again
+            session.sendQrToClient(null, 'disconnected', 'Session data is corrupt, please link again');
+            sessions.delete(sessionId);
+            deleteSessionData(sessionId, 'bad session');
+            break;
+            
+          case DisconnectReason.connectionReplaced:
+            // Another connection took over this session; reconnecting would just
+            // kick it off in turn, so stop here and keep the creds
+            session.sendQrToClient(null, 'disconnected', 'Session was opened from another connection');
+            sessions.delete(sessionId);
+            break;
+            
+          default:
+            scheduleReconnect(sessionId, session, reason);
         }
       } else if (connection === 'open') {
         console.log('Connection opened');
-        sendQrToClient(null, 'connected', 'Connected to WhatsApp');
+        session.currentQr = null;
+        session.reconnectAttempt = 0;
+        session.sendQrToClient(null, 'connected', 'Connected to WhatsApp');
+        notifyWebhooks(sessionId, 'connected', { jid: socket.user?.id || null });
       }
     });
     
     // Save credentials when updated
     socket.ev.on('creds.update', saveCreds);
     
-    // Handle new messages
+    // Handle new messages, including offline batches delivered on reconnect
     socket.ev.on('messages.upsert', async (m) => {
-      if (m.type === 'notify') {
-        for (const msg of m.messages) {
-          if (msg.message && msg.key.remoteJid === 'status@broadcast') {
-            // This is a status update
-            const statusContent = await processStatusMessage(socket, msg);
-            const client = clients.get(sessionId);
-            
-            if (client?.ws && client.ws.readyState === WebSocket.OPEN) {
-              client.ws.send(JSON.stringify({
-                type: 'status_update',
-                statuses: [statusContent]
-              }));
-            }
-          }
+      if (m.type !== 'notify' && m.type !== 'append') {
+        return;
+      }
+      
+      // Remember the names senders have set for themselves
+      m.messages.forEach(msg => {
+        if (!msg.key.fromMe) {
+          contactDirectory.setPushName(sessionId, msg.key.participant || msg.key.remoteJid, msg.pushName);
         }
+      });
+      
+      // Tell clients about statuses their authors have deleted
+      const deleted = await removeRevokedStatuses(sessionId, m.messages);
+      deleted.forEach(status => {
+        sendToSession(sessionId, { type: 'status_deleted', ...status });
+        notifyWebhooks(sessionId, 'status_deleted', status);
+      });
+      
+      const entries = await storeStatusMessages(socket, sessionId, m.messages);
+      
+      if (entries.length > 0) {
+        notifyWebhooks(sessionId, 'status_update', {
+          statuses: entries.map(entry => toClientStatus(sessionId, entry)),
+          since: statusStore.getCursor(sessionId)
+        });
+        await sendStatusesToSession(sessionId, entries);
+      }
+    });
+    
+    // Keep statuses delivered through history sync for the backlog
+    socket.ev.on('messaging-history.set', async ({ contacts, messages }) => {
+      contactDirectory.upsertContacts(sessionId, contacts || []);
+      await removeRevokedStatuses(sessionId, messages);
+      const entries = await storeStatusMessages(socket, sessionId, messages);
+      if (entries.length > 0) {
+        console.log(`Stored ${entries.length} statuses from history sync for session: ${sessionId}`);
       }
     });
     
+    // Keep the contact directory up to date; address book names from app
+    // state sync arrive through contacts.upsert too
+    socket.ev.on('contacts.upsert', (contacts) => {
+      contactDirectory.upsertContacts(sessionId, contacts);
+    });
+    
+    socket.ev.on('contacts.update', (updates) => {
+      contactDirectory.upsertContacts(sessionId, updates);
+    });
+    
     // Handle group updates for cache
     socket.ev.on('groups.update', async (events) => {
       for (const event of events) {
@@ -140,7 +670,7 @@ async function startWhatsAppSession(sessionId, sendQrToClient) {
     });
     
     // Store socket in sessions map
-    sessions.set(sessionId, { socket, startTime: Date.now() });
+    sessions.set(sessionId, session);
     
     return socket;
   } catch (error) {
@@ -150,169 +680,454 @@ async function startWhatsAppSession(sessionId, sendQrToClient) {
   }
 }
 
-// Process a status message to extract relevant information
-async function processStatusMessage(socket, msg) {
-  try {
-    const sender = msg.key.participant || msg.key.remoteJid || '';
-    const senderName = sender.split('@')[0];
-    
-    // Determine message type
-    let isVideo = false;
-    let messageContent = '';
-    let mediaUrl = '';
-    let thumbnailUrl = '';
-    
-    if (msg.message.imageMessage) {
-      messageContent = msg.message.imageMessage.caption || '';
-      try {
-        const media = await socket.downloadMediaMessage(msg);
-        mediaUrl = `data:${msg.message.imageMessage.mimetype};base64,${media.toString('base64')}`;
-        thumbnailUrl = mediaUrl;
-      } catch (err) {
-        console.error('Error downloading image:', err);
-      }
-    } else if (msg.message.videoMessage) {
-      isVideo = true;
-      messageContent = msg.message.videoMessage.caption || '';
-      try {
-        const media = await socket.downloadMediaMessage(msg);
-        mediaUrl = `data:${msg.message.videoMessage.mimetype};base64,${media.toString('base64')}`;
-        // Use thumbnail if available, otherwise use blank
-        if (msg.message.videoMessage.jpegThumbnail) {
-          thumbnailUrl = `data:image/jpeg;base64,${msg.message.videoMessage.jpegThumbnail.toString('base64')}`;
-        } else {
-          thumbnailUrl = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
-        }
-      } catch (err) {
-        console.error('Error downloading video:', err);
-      }
-    } else if (msg.message.conversation) {
-      messageContent = msg.message.conversation;
+// Process and store any new, unexpired status messages from a batch
+async function storeStatusMessages(socket, sessionId, messages) {
+  const entries = [];
+  
+  for (const msg of messages) {
+    if (!msg.message || msg.key.remoteJid !== 'status@broadcast' || isProtocolMessage(msg.message)) {
+      continue;
     }
     
-    // Get sender contact info
-    let author = 'Unknown';
-    try {
-      const contactInfo = await socket.getContactInfo(sender);
-      author = contactInfo?.name || contactInfo?.verifiedName || senderName;
-    } catch (err) {
-      console.error('Error getting contact info:', err);
-      author = senderName;
+    // Skip duplicates and statuses that are already past the retention period
+    if (statusStore.hasStatus(sessionId, msg.key.id) || statusStore.isMessageExpired(msg)) {
+      continue;
     }
     
-    return {
-      id: msg.key.id,
-      timestamp: msg.messageTimestamp ? new Date(msg.messageTimestamp * 1000) : new Date(),
-      is_video: isVideo,
-      thumbnail_url: thumbnailUrl,
-      media_url: mediaUrl,
-      author: author,
-      content: messageContent
-    };
-  } catch (error) {
-    console.error('Error processing status message:', error);
-    return {
-      id: msg.key?.id || uuidv4(),
-      timestamp: new Date(),
-      is_video: false,
-      thumbnail_url: '',
-      media_url: '',
-      author: 'Unknown',
-      content: 'Error processing status'
-    };
+    // This is a status update
+    const statusContent = await processStatusMessage(socket, sessionId, msg);
+    entries.push(statusStore.addStatus(sessionId, msg, statusContent));
   }
+  
+  return entries;
 }
 
-// Handle WebSocket connection
-wss.on('connection', (ws, req) => {
-  // Parse URL parameters
-  const url = new URL(req.url, `http://${req.headers.host}`);
-  const clientId = url.searchParams.get('client_id') || uuidv4();
-  const existingSessionId = url.searchParams.get('session_id');
-  
-  console.log(`New client connected: ${clientId}, session: ${existingSessionId || 'new'}`);
-  
-  // Store client connection
-  clients.set(clientId, { 
-    ws, 
-    sessionId: existingSessionId,
-    lastActivity: Date.now() 
-  });
+// Remove statuses revoked by their authors from the store and media cache.
+// Only the status's own author can revoke it, and ids the store never held
+// are ignored. Returns the status_deleted payloads for the removed statuses.
+async function removeRevokedStatuses(sessionId, messages) {
+  const deleted = [];
   
-  // Function to send QR code to client
-  const sendQrToClient = (qrImage, status, message = '') => {
-    const client = clients.get(clientId);
-    if (client?.ws && client.ws.readyState === WebSocket.OPEN) {
-      client.ws.send(JSON.stringify({
-        type: 'qr_code_status',
-        status,
-        data: qrImage,
-        message
-      }));
+  for (const msg of messages) {
+    if (!msg.message || msg.key.remoteJid !== 'status@broadcast') {
+      continue;
     }
-  };
-  
-  // If session ID provided, try to reconnect existing session
-  if (existingSessionId && sessions.has(existingSessionId)) {
-    console.log(`Reconnecting existing session: ${existingSessionId}`);
     
-    // Update client with session ID
-    const client = clients.get(clientId);
-    if (client) {
-      client.sessionId = existingSessionId;
+    const statusId = getRevokedStatusId(msg.message);
+    if (!statusId) {
+      continue;
     }
     
-    // Notify client of successful connection
-    ws.send(JSON.stringify({
-      type: 'connection_success',
-      session_id: existingSessionId,
-      message: 'Reconnected to existing session'
-    }));
-    
-    // Fetch and send current statuses
-    const sessionData = sessions.get(existingSessionId);
-    fetchCurrentStatuses(sessionData.socket, clientId);
-    
-  } else {
-    // Create new session
-    const sessionId = existingSessionId || uuidv4();
-    
-    // Update client with session ID
-    const client = clients.get(clientId);
-    if (client) {
-      client.sessionId = sessionId;
+    const entry = statusStore.getStatus(sessionId, statusId);
+    if (!entry || msg.key.participant !== entry.key.participant) {
+      continue;
     }
     
-    // Start new WhatsApp session
-    startWhatsAppSession(sessionId, sendQrToClient)
-      .then(() => {
-        console.log(`Started new session: ${sessionId}`);
-      })
-      .catch(err => {
-        console.error(`Failed to start session: ${err.message}`);
-      });
+    statusStore.removeStatus(sessionId, statusId);
+    await mediaCache.removeStatusMedia(sessionId, statusId).catch(err => {
+      console.error(`Error removing media for deleted status ${statusId}:`, err);
+    });
+    
+    deleted.push({
+      status_id: statusId,
+      author: entry.status.author
+    });
   }
   
-  // Handle incoming messages
-  ws.on('message', async (message) => {
-    try {
-      const data = JSON.parse(message.toString());
-      const client = clients.get(clientId);
-      
-      // Update last activity timestamp
-      if (client) {
-        client.lastActivity = Date.now();
+  return deleted;
+}
+
+// Download the media attached to a status message
+async function downloadStatusMedia(socket, msg) {
+  return downloadMediaMessage(msg, 'buffer', {}, {
+    logger: console,
+    // Ask the sender's phone to re-upload media that has left WhatsApp's CDN
+    reuploadRequest: socket.updateMediaMessage
+  });
+}
+
+// Whether a media download failed because WhatsApp no longer has the media
+function isMediaGoneError(error) {
+  const statusCode = error?.output?.statusCode || error?.response?.status;
+  return statusCode === 404 || statusCode === 410;
+}
+
+// Build an absolute URL for a path when PUBLIC_URL is configured
+function toPublicUrl(pathname) {
+  return `${PUBLIC_URL}${pathname}`;
+}
+
+// Whether a thumbnail can be served for a status. Audio has nothing to show.
+function hasThumbnail(entry) {
+  return Boolean(entry.media) && entry.media.type !== 'audio';
+}
+
+// Build the status payload sent to clients, with freshly signed media URLs
+function toClientStatus(sessionId, entry) {
+  const status = { ...entry.status, expires_at: new Date(entry.expiresAt).toISOString() };
+  
+  // Names and pictures learned after the status arrived are picked up here
+  const contact = contactDirectory.getContact(sessionId, status.author_jid);
+  if (contact) {
+    const { name, profile_picture_url } = contactDirectory.toClientContact(sessionId, contact);
+    status.author = name;
+    status.profile_picture_url = profile_picture_url;
+  }
+  
+  if (entry.media) {
+    status.media_url = toPublicUrl(mediaCache.signMediaPath(sessionId, entry.id, 'media'));
+  }
+  
+  if (hasThumbnail(entry)) {
+    status.thumbnail_url = toPublicUrl(mediaCache.signMediaPath(sessionId, entry.id, 'thumbnail'));
+  }
+  
+  return status;
+}
+
+// Build the status payloads for a client: statuses failing its filters are
+// dropped, and media is added inline when the client asked for it
+async function buildClientStatuses(sessionId, entries, filters) {
+  const statuses = [];
+  
+  for (const entry of entries) {
+    const status = toClientStatus(sessionId, entry);
+    if (!statusFilters.matchesFilters(filters, status)) {
+      continue;
+    }
+    
+    if (filters?.media === 'inline' && entry.media) {
+      try {
+        const { filePath } = await resolveStatusMedia(sessionId, entry.id, 'media');
+        status.media_data = (await fs.promises.readFile(filePath)).toString('base64');
+      } catch (err) {
+        // The client can still fall back to media_url
+        console.error(`Error inlining media for status ${entry.id}: ${err.message}`);
+      }
+    }
+    
+    statuses.push(status);
+  }
+  
+  return statuses;
+}
+
+// Create an error carrying one of the protocol error codes
+function createStatusError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Make sure a status's media (or thumbnail) is in the on-disk cache.
+// Resolves to the cached file path and its content type.
+async function resolveStatusMedia(sessionId, statusId, variant) {
+  const entry = statusStore.getStatus(sessionId, statusId);
+  
+  if (!entry) {
+    throw createStatusError('STATUS_NOT_FOUND', 'Status not found');
+  }
+  
+  if (statusStore.isExpired(entry)) {
+    throw createStatusError('STATUS_EXPIRED', 'Status has expired');
+  }
+  
+  if (!entry.media) {
+    throw createStatusError('NO_MEDIA', 'Status has no media');
+  }
+  
+  if (variant === 'thumbnail') {
+    if (!hasThumbnail(entry)) {
+      throw createStatusError('NO_MEDIA', 'Status has no thumbnail');
+    }
+    
+    const filePath = await mediaCache.ensureMedia(sessionId, statusId, 'thumbnail', async () => {
+      // Prefer the thumbnail WhatsApp embeds in the message
+      if (entry.media.jpegThumbnail) {
+        return entry.media.jpegThumbnail;
+      }
+      
+      try {
+        const media = await resolveStatusMedia(sessionId, statusId, 'media');
+        return entry.media.type === 'video'
+          ? await thumbnails.generateVideoThumbnail(media.filePath)
+          : await thumbnails.generateImageThumbnail(media.filePath);
+      } catch (err) {
+        if (err.code) {
+          throw err;
+        }
+        throw createStatusError('THUMBNAIL_ERROR', `Could not generate thumbnail: ${err.message}`);
+      }
+    });
+    
+    return { filePath, mimetype: 'image/jpeg' };
+  }
+  
+  const filePath = await mediaCache.ensureMedia(sessionId, statusId, 'media', async () => {
+    const socket = sessions.get(sessionId)?.socket;
+    if (!socket) {
+      throw createStatusError('NO_SESSION', 'No active WhatsApp session');
+    }
+    
+    try {
+      return await downloadStatusMedia(socket, entry.message);
+    } catch (err) {
+      if (isMediaGoneError(err)) {
+        throw createStatusError('STATUS_EXPIRED', 'Status media is no longer available');
+      }
+      throw err;
+    }
+  });
+  
+  return { filePath, mimetype: entry.media.mimetype };
+}
+
+// Profile picture URL for a JID, cached in the contact directory for
+// PROFILE_PICTURE_TTL_MS. Null when the contact has none or hides it.
+async function getProfilePictureUrl(socket, sessionId, jid) {
+  const contact = contactDirectory.getContact(sessionId, jid);
+  const fresh = contact?.imgFetchedAt && Date.now() - contact.imgFetchedAt < PROFILE_PICTURE_TTL_MS;
+  
+  if (fresh && contact.imgUrl !== 'changed') {
+    return contact.imgUrl || null;
+  }
+  
+  let imgUrl = null;
+  try {
+    imgUrl = await socket.profilePictureUrl(jid, 'preview') || null;
+  } catch (err) {
+    // Privacy settings and missing pictures both surface as errors
+  }
+  
+  contactDirectory.upsertContacts(sessionId, [{ id: jid, imgUrl, imgFetchedAt: Date.now() }]);
+  return imgUrl;
+}
+
+// Process a status message to extract relevant information
+async function processStatusMessage(socket, sessionId, msg) {
+  try {
+    const sender = msg.key.participant || msg.key.remoteJid || '';
+    
+    // Work out the status kind and metadata. Media itself is served over HTTP, see toClientStatus
+    const normalized = normalizeStatusMessage(msg.message);
+    
+    // Get sender contact info
+    contactDirectory.setPushName(sessionId, sender, msg.pushName);
+    const profilePictureUrl = await getProfilePictureUrl(socket, sessionId, sender);
+    
+    return {
+      id: msg.key.id,
+      timestamp: msg.messageTimestamp ? new Date(msg.messageTimestamp * 1000) : new Date(),
+      kind: normalized.kind,
+      is_video: normalized.is_video,
+      view_once: normalized.view_once,
+      thumbnail_url: '',
+      media_url: '',
+      author: contactDirectory.getDisplayName(sessionId, sender),
+      author_jid: sender,
+      profile_picture_url: profilePictureUrl,
+      content: normalized.content,
+      metadata: normalized.metadata
+    };
+  } catch (error) {
+    console.error('Error processing status message:', error);
+    return {
+      id: msg.key?.id || uuidv4(),
+      timestamp: new Date(),
+      kind: 'unknown',
+      is_video: false,
+      view_once: false,
+      thumbnail_url: '',
+      media_url: '',
+      author: 'Unknown',
+      author_jid: msg.key?.participant || null,
+      profile_picture_url: null,
+      content: 'Error processing status',
+      metadata: {}
+    };
+  }
+}
+
+// Handle WebSocket connection
+wss.on('connection', (ws, req) => {
+  // Parse URL parameters
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const clientId = url.searchParams.get('client_id') || uuidv4();
+  const existingSessionId = url.searchParams.get('session_id');
+  const since = url.searchParams.get('since');
+  const sessionSecret = req.headers['x-session-secret'] || url.searchParams.get('session_secret');
+  
+  console.log(`New client connected: ${clientId}, session: ${existingSessionId || 'new'}, key: ${req.apiKeyLabel}`);
+  
+  // Agree on a protocol version before anything else is sent
+  const protocolVersion = protocol.negotiateVersion(url.searchParams.get('protocol_version'));
+  if (protocolVersion === null) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      code: 'UNSUPPORTED_PROTOCOL_VERSION',
+      message: `Supported protocol versions: ${protocol.SUPPORTED_VERSIONS.join(', ')}`
+    }));
+    ws.close(4002, 'Unsupported protocol version');
+    return;
+  }
+  
+  ws.send(JSON.stringify({
+    type: 'hello',
+    protocol_version: protocolVersion,
+    client_id: clientId
+  }));
+  
+  // Session IDs name folders on disk, so only accept safe ones
+  if (existingSessionId && !SESSION_ID_PATTERN.test(existingSessionId)) {
+    ws.send(JSON.stringify({
+      type: 'error',
+      code: 'INVALID_SESSION_ID',
+      message: 'Invalid session ID'
+    }));
+    ws.close(4000, 'Invalid session ID');
+    return;
+  }
+  
+  // Attaching to a session that already exists requires its owner's secret.
+  // Sessions linked before owner secrets existed get one from an admin first.
+  if (existingSessionId && sessionExists(existingSessionId) &&
+      !auth.verifySessionSecret(getSessionSecretPath(existingSessionId), sessionSecret)) {
+    console.warn(`Refused client ${clientId} for session ${existingSessionId}: invalid session secret`);
+    ws.send(JSON.stringify({
+      type: 'error',
+      code: 'SESSION_FORBIDDEN',
+      message: 'Missing or invalid session secret for this session'
+    }));
+    ws.close(4003, 'Session forbidden');
+    return;
+  }
+  
+  // Attach to the requested session, or a new one
+  const sessionId = existingSessionId || uuidv4();
+  
+  // Store client connection, replacing any earlier connection with this client ID
+  const previous = clients.get(clientId);
+  if (previous?.ws) {
+    // The old socket is no longer pinged once replaced, so close it now;
+    // its close handler sees it is stale and leaves the new entry alone
+    clearTimeout(previous.pongTimer);
+    previous.ws.terminate();
+  }
+  if (previous && previous.sessionId !== sessionId) {
+    unsubscribeClient(previous.sessionId, clientId);
+  }
+  clients.set(clientId, { 
+    ws, 
+    sessionId,
+    protocolVersion,
+    qrFormat: QR_FORMATS.includes(url.searchParams.get('qr_format')) ? url.searchParams.get('qr_format') : 'png',
+    // Filters set with subscribe survive a reconnect to the same session
+    filters: previous && previous.sessionId === sessionId ? previous.filters : null,
+    lastActivity: Date.now() 
+  });
+  subscribeClient(sessionId, clientId);
+  
+  // Function to send QR code and connection status to every client on the session
+  const sendQrToClient = createSessionNotifier(sessionId);
+  
+  // If session ID provided, try to reconnect existing session
+  if (sessions.has(sessionId)) {
+    console.log(`Reconnecting existing session: ${sessionId}`);
+    
+    // Route session events to its subscribers, e.g. for sessions restored at startup
+    sessions.get(sessionId).sendQrToClient = sendQrToClient;
+    touchSession(sessionId);
+    
+    // Notify client of successful connection
+    ws.send(JSON.stringify({
+      type: 'connection_success',
+      session_id: sessionId,
+      message: 'Reconnected to existing session'
+    }));
+    
+    // Fetch and send current statuses
+    fetchCurrentStatuses(sessionId, createReply(ws), since, clients.get(clientId).filters);
+    
+  } else {
+    // Resuming a stopped session counts as activity; a brand new one gets its owner secret
+    if (sessionExists(sessionId)) {
+      touchSession(sessionId);
+    } else {
+      const secret = auth.issueSessionSecret(getSessionSecretPath(sessionId));
+      ws.send(JSON.stringify({
+        type: 'connection_success',
+        session_id: sessionId,
+        session_secret: secret,
+        message: 'Created new session'
+      }));
+    }
+    
+    // Start new WhatsApp session
+    startWhatsAppSession(sessionId, sendQrToClient)
+      .then(() => {
+        console.log(`Started new session: ${sessionId}`);
+      })
+      .catch(err => {
+        console.error(`Failed to start session: ${err.message}`);
+      });
+  }
+  
+  // Handle incoming messages
+  ws.on('message', async (message) => {
+    let data;
+    try {
+      data = JSON.parse(message.toString());
+    } catch (err) {
+      return createReply(ws)({
+        type: 'error',
+        code: 'INVALID_PAYLOAD',
+        message: 'Message is not valid JSON'
+      });
+    }
+    
+    const requestId = typeof data?.request_id === 'string' || typeof data?.request_id === 'number'
+      ? data.request_id
+      : undefined;
+    const reply = createReply(ws, requestId);
+    
+    try {
+      const client = clients.get(clientId);
+      
+      // Update last activity timestamp
+      if (client) {
+        client.lastActivity = Date.now();
+      }
+      
+      const invalid = protocol.validateClientMessage(data);
+      if (invalid) {
+        return reply({ type: 'error', ...invalid });
       }
       
       // Handle client message
-      handleClientMessage(clientId, data, ws);
+      await handleClientMessage(clientId, data, reply);
+      
+      // Acknowledge requests that produced no reply of their own
+      if (requestId !== undefined && !reply.sent) {
+        reply({ type: 'ack', for: data.type });
+      }
     } catch (err) {
       console.error(`Error handling message: ${err.message}`);
-      ws.send(JSON.stringify({
+      reply({
         type: 'error',
         code: 'MESSAGE_ERROR',
         message: `Error processing message: ${err.message}`
-      }));
+      });
+    }
+  });
+  
+  // Record round-trip time when the client answers our ping
+  ws.on('pong', () => {
+    const client = clients.get(clientId);
+    if (client?.ws === ws && client.pongTimer) {
+      clearTimeout(client.pongTimer);
+      client.pongTimer = null;
+      client.rtt = Date.now() - client.pingSentAt;
+      client.lastActivity = Date.now();
     }
   });
   
@@ -320,15 +1135,33 @@ wss.on('connection', (ws, req) => {
   ws.on('close', () => {
     console.log(`Client disconnected: ${clientId}`);
     // Don't remove the client right away to allow reconnection
-    if (clients.has(clientId)) {
-      const client = clients.get(clientId);
+    const client = clients.get(clientId);
+    // Ignore a stale socket if the client has already reconnected
+    if (client?.ws === ws) {
+      clearTimeout(client.pongTimer);
+      client.pongTimer = null;
       client.ws = null;
+      unsubscribeClient(client.sessionId, clientId);
+      touchSession(client.sessionId);
     }
   });
 });
 
+// Build the function used to answer one client message. Every reply echoes the
+// message's request_id; reply.sent records whether anything was sent.
+function createReply(ws, requestId) {
+  const reply = (payload) => {
+    reply.sent = true;
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(requestId === undefined ? payload : { ...payload, request_id: requestId }));
+    }
+  };
+  reply.sent = false;
+  return reply;
+}
+
 // Handle client messages
-async function handleClientMessage(clientId, data, ws) {
+async function handleClientMessage(clientId, data, reply) {
   const { type } = data;
   const client = clients.get(clientId);
   
@@ -349,13 +1182,13 @@ async function handleClientMessage(clientId, data, ws) {
     case 'request_status_updates':
       console.log(`Status updates requested by client: ${clientId}`);
       if (socket) {
-        await fetchCurrentStatuses(socket, clientId);
+        await fetchCurrentStatuses(sessionId, reply, data.since, client.filters);
       } else {
-        ws.send(JSON.stringify({
+        reply({
           type: 'error',
           code: 'NO_SESSION',
           message: 'No active WhatsApp session'
-        }));
+        });
       }
       break;
       
@@ -365,84 +1198,379 @@ async function handleClientMessage(clientId, data, ws) {
       
       if (socket) {
         try {
-          // This is a placeholder - in a full implementation, you would
-          // fetch the media for the specific status ID from WhatsApp
-          ws.send(JSON.stringify({
-            type: 'error',
-            code: 'NOT_IMPLEMENTED',
-            message: 'Individual media requests not yet implemented'
-          }));
+          await sendStatusMedia(sessionId, status_id, reply);
         } catch (err) {
           console.error(`Error fetching media: ${err.message}`);
-          ws.send(JSON.stringify({
+          reply({
             type: 'error',
-            code: 'MEDIA_ERROR',
+            code: err.code || 'MEDIA_ERROR',
+            status_id,
             message: `Error fetching media: ${err.message}`
-          }));
+          });
         }
       } else {
-        ws.send(JSON.stringify({
+        reply({
           type: 'error',
           code: 'NO_SESSION',
           message: 'No active WhatsApp session'
-        }));
+        });
       }
       break;
       
+    case 'request_thumbnail':
+      const { status_id: thumbnailStatusId } = data;
+      console.log(`Thumbnail requested for status: ${thumbnailStatusId} by client: ${clientId}`);
+      
+      try {
+        await sendStatusMedia(sessionId, thumbnailStatusId, reply, 'thumbnail');
+      } catch (err) {
+        console.error(`Error generating thumbnail: ${err.message}`);
+        reply({
+          type: 'error',
+          code: err.code || 'THUMBNAIL_ERROR',
+          status_id: thumbnailStatusId,
+          message: `Error generating thumbnail: ${err.message}`
+        });
+      }
+      break;
+      
+    case 'set_qr_format':
+      client.qrFormat = data.format;
+      // Resend the current QR code in the new format
+      if (sessionData?.currentQr) {
+        await sendQrStatusToClient(client, sessionData.currentQr, 'generated');
+      }
+      break;
+      
+    case 'set_session_settings':
+      try {
+        reply({
+          type: 'session_settings',
+          settings: updateSessionSettings(sessionId, data)
+        });
+      } catch (err) {
+        reply({
+          type: 'error',
+          code: err.code || 'SETTINGS_ERROR',
+          message: `Error updating settings: ${err.message}`
+        });
+      }
+      break;
+      
+    case 'mark_status_viewed':
+      try {
+        await markStatusViewed(sessionId, data.status_id);
+        reply({
+          type: 'status_viewed',
+          status_id: data.status_id
+        });
+      } catch (err) {
+        console.error(`Error marking status viewed: ${err.message}`);
+        reply({
+          type: 'error',
+          code: err.code || 'RECEIPT_ERROR',
+          status_id: data.status_id,
+          message: `Error marking status viewed: ${err.message}`
+        });
+      }
+      break;
+      
+    case 'post_status':
+      console.log(`Status post requested by client: ${clientId}`);
+      
+      try {
+        reply({
+          type: 'status_posted',
+          ...await postStatus(sessionId, data)
+        });
+      } catch (err) {
+        console.error(`Error posting status: ${err.message}`);
+        reply({
+          type: 'error',
+          code: err.code || 'POST_FAILED',
+          message: `Error posting status: ${err.message}`
+        });
+      }
+      break;
+      
+    case 'request_pairing_code':
+      console.log(`Pairing code requested by client: ${clientId}`);
+      
+      try {
+        const pairing = await requestPairingCode(sessionId, data.phone_number);
+        reply({
+          type: 'pairing_code',
+          code: pairing.code,
+          phone_number: pairing.phoneNumber,
+          expires_at: new Date(pairing.expiresAt).toISOString()
+        });
+      } catch (err) {
+        console.error(`Error requesting pairing code: ${err.message}`);
+        reply({
+          type: 'error',
+          code: err.code || 'PAIRING_ERROR',
+          message: `Error requesting pairing code: ${err.message}`
+        });
+      }
+      break;
+      
+    case 'subscribe':
+      client.filters = statusFilters.createFilters(data);
+      console.log(`Status filters set by client: ${clientId}`);
+      reply({
+        type: 'subscribed',
+        filters: client.filters
+      });
+      break;
+      
+    case 'request_contacts':
+      console.log(`Contacts requested by client: ${clientId}`);
+      reply({
+        type: 'contacts',
+        contacts: contactDirectory.listContacts(sessionId)
+      });
+      break;
+      
     case 'disconnect':
       console.log(`Disconnect requested by client: ${clientId}`);
       if (socket) {
-        await socket.logout();
-        socket.end(undefined);
-        sessions.delete(sessionId);
-        
-        ws.send(JSON.stringify({
-          type: 'disconnected',
-          message: 'Logged out from WhatsApp'
-        }));
+        await logoutSession(sessionId, 'logged out by client');
       }
       break;
   }
 }
 
-// Fetch current status updates
-async function fetchCurrentStatuses(socket, clientId) {
+// Strip formatting from a phone number and check it looks like an
+// international number (country code included, 7-15 digits)
+function normalizePhoneNumber(phoneNumber) {
+  if (typeof phoneNumber !== 'string') {
+    return null;
+  }
+  const digits = phoneNumber.replace(/[\s()+.-]/g, '');
+  return /^[1-9]\d{6,14}$/.test(digits) ? digits : null;
+}
+
+// Receipt types that tell a contact their message or status was seen
+const SEEN_RECEIPT_TYPES = ['read', 'read-self', 'played'];
+
+// Block every way of sending "seen" receipts through the socket unless the
+// session has view_receipts on. Baileys itself only sends delivery receipts
+// (during reconnects and history sync too), so with this guard the only
+// read receipts ever sent are the ones mark_status_viewed asks for.
+function guardReceipts(socket, sessionId) {
+  const { readMessages, sendReceipt, sendReceipts } = socket;
+  
+  const assertAllowed = () => {
+    if (!getSessionSettings(sessionId).view_receipts) {
+      throw createStatusError('VIEW_RECEIPTS_DISABLED', 'View receipts are turned off for this session');
+    }
+  };
+  
+  socket.readMessages = async (keys) => {
+    assertAllowed();
+    return readMessages(keys);
+  };
+  
+  socket.sendReceipt = async (jid, participant, messageIds, type) => {
+    if (SEEN_RECEIPT_TYPES.includes(type)) {
+      assertAllowed();
+    }
+    return sendReceipt(jid, participant, messageIds, type);
+  };
+  
+  socket.sendReceipts = async (keys, type) => {
+    if (SEEN_RECEIPT_TYPES.includes(type)) {
+      assertAllowed();
+    }
+    return sendReceipts(keys, type);
+  };
+}
+
+// Send a read receipt for a stored status, if the session allows it
+async function markStatusViewed(sessionId, statusId) {
+  const socket = sessions.get(sessionId)?.socket;
+  if (!socket) {
+    throw createStatusError('NO_SESSION', 'No active WhatsApp session');
+  }
+  
+  if (!getSessionSettings(sessionId).view_receipts) {
+    throw createStatusError('VIEW_RECEIPTS_DISABLED', 'View receipts are turned off for this session');
+  }
+  
+  const entry = statusStore.getStatus(sessionId, statusId);
+  if (!entry) {
+    throw createStatusError('STATUS_NOT_FOUND', 'Status not found');
+  }
+  if (statusStore.isExpired(entry)) {
+    throw createStatusError('STATUS_EXPIRED', 'Status has expired');
+  }
+  
+  await socket.readMessages([entry.key]);
+  console.log(`Marked status ${statusId} as viewed for session: ${sessionId}`);
+}
+
+// Work out who a posted status goes to. Without an explicit audience it goes
+// to every saved contact; an explicit audience must come from the directory.
+function resolveStatusAudience(sessionId, audience) {
+  if (audience === undefined || audience === null) {
+    const jids = contactDirectory.getAddressBookJids(sessionId);
+    if (jids.length === 0) {
+      throw createStatusError('EMPTY_AUDIENCE', 'No saved contacts to share the status with yet');
+    }
+    return jids;
+  }
+  
+  if (!Array.isArray(audience) || audience.length === 0) {
+    throw createStatusError('EMPTY_AUDIENCE', 'audience must be a non-empty list of JIDs or phone numbers');
+  }
+  
+  return audience.map(entry => {
+    const value = String(entry).trim();
+    const jid = value.includes('@') ? value : `${value.replace(/\D/g, '')}@s.whatsapp.net`;
+    if (!contactDirectory.getContact(sessionId, jid)) {
+      throw createStatusError('UNKNOWN_AUDIENCE', `Not in the contact directory: ${value}`);
+    }
+    return jid;
+  });
+}
+
+// Post a status as the session's own account. Resolves to the new status ID.
+async function postStatus(sessionId, request) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    throw createStatusError('NO_SESSION', 'No active WhatsApp session');
+  }
+  if (session.connection !== 'open') {
+    throw createStatusError('NOT_CONNECTED', 'The session is not connected to WhatsApp');
+  }
+  
+  const { content, options } = statusPoster.buildStatusMessage(request);
+  const statusJidList = resolveStatusAudience(sessionId, request.audience);
+  
+  let sent;
   try {
-    // In a full implementation, you would fetch recent statuses
-    // This is a placeholder showing the approach
-    const client = clients.get(clientId);
+    sent = await session.socket.sendMessage('status@broadcast', content, { ...options, statusJidList });
+  } catch (err) {
+    throw createStatusError('POST_FAILED', `WhatsApp rejected the status: ${err.message}`);
+  }
+  
+  console.log(`Posted ${request.kind} status ${sent.key.id} to ${statusJidList.length} contacts for session: ${sessionId}`);
+  return { status_id: sent.key.id, audience_size: statusJidList.length };
+}
+
+// Change a session's settings, checking the values first
+function updateSessionSettings(sessionId, changes) {
+  if (changes.view_receipts !== undefined && typeof changes.view_receipts !== 'boolean') {
+    throw createStatusError('INVALID_SETTINGS', 'view_receipts must be a boolean');
+  }
+  if (changes.webhook_url !== undefined && changes.webhook_url !== null && !webhooks.isAllowedWebhookUrl(changes.webhook_url)) {
+    throw createStatusError('INVALID_SETTINGS', 'webhook_url must be a public http(s) URL or null');
+  }
+  return sessionSettings.updateSettings(getSessionSettingsPath(sessionId), changes);
+}
+
+// Request a pairing code so the account can be linked by phone number instead
+// of scanning the QR code. QR codes keep coming, so users can use either.
+async function requestPairingCode(sessionId, phoneNumber) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    throw createStatusError('NO_SESSION', 'No active WhatsApp session');
+  }
+  
+  if (isLinked(session.socket.authState.creds)) {
+    throw createStatusError('ALREADY_LINKED', 'Session is already linked to WhatsApp');
+  }
+  
+  const digits = normalizePhoneNumber(phoneNumber);
+  if (!digits) {
+    throw createStatusError('INVALID_PHONE_NUMBER', 'Phone number must include the country code, e.g. 2348012345678');
+  }
+  
+  const code = await session.socket.requestPairingCode(digits);
+  // Don't time the session out on QR refreshes while the user enters the code
+  session.qrSequence = 0;
+  session.pairingCode = {
+    code,
+    phoneNumber: digits,
+    expiresAt: Date.now() + PAIRING_CODE_TTL_MS
+  };
+  
+  return session.pairingCode;
+}
+
+// Send a stored status's media (or thumbnail) to the client over the WebSocket
+async function sendStatusMedia(sessionId, statusId, reply, variant = 'media') {
+  const { filePath, mimetype } = await resolveStatusMedia(sessionId, statusId, variant);
+  const media = await fs.promises.readFile(filePath);
+  
+  reply({
+    type: variant === 'thumbnail' ? 'thumbnail_data' : 'media_data',
+    status_id: statusId,
+    data: media.toString('base64'),
+    mime_type: mimetype
+  });
+}
+
+// Replay stored statuses newer than the client's cursor that pass its filters
+async function fetchCurrentStatuses(sessionId, reply, since = null, filters = null) {
+  try {
+    // Send a message indicating we're fetching statuses
+    reply({
+      type: 'status_fetch_start',
+      message: 'Fetching recent statuses...'
+    });
     
-    if (client?.ws && client.ws.readyState === WebSocket.OPEN) {
-      // Send a message indicating we're fetching statuses
-      client.ws.send(JSON.stringify({
-        type: 'status_fetch_start',
-        message: 'Fetching recent statuses...'
-      }));
-      
-      // In a real implementation, you would:
-      // 1. Get the status broadcast list
-      // 2. Fetch recent status messages
-      // 3. Process and send them to the client
-      
-      // For now, we'll just send a message that statuses are not available this way
-      client.ws.send(JSON.stringify({
-        type: 'info',
-        message: 'Status updates will appear here when contacts post new statuses'
-      }));
+    // A cursor from before a server restart replays everything
+    const cursor = statusStore.parseCursor(sessionId, since);
+    const entries = statusStore.listStatuses(sessionId, cursor)
+      .filter(entry => statusFilters.matchesFilters(filters, toClientStatus(sessionId, entry)));
+    const totalPages = Math.ceil(entries.length / STATUS_PAGE_SIZE);
+    
+    // Send the backlog in pages so large histories don't become one huge frame
+    for (let page = 0; page < totalPages; page++) {
+      const pageEntries = entries.slice(page * STATUS_PAGE_SIZE, (page + 1) * STATUS_PAGE_SIZE);
+      reply({
+        type: 'status_update',
+        statuses: await buildClientStatuses(sessionId, pageEntries, filters),
+        page: page + 1,
+        total_pages: totalPages,
+        since: statusStore.formatCursor(sessionId, pageEntries[pageEntries.length - 1].seq)
+      });
     }
+    
+    reply({
+      type: 'status_fetch_complete',
+      count: entries.length,
+      since: statusStore.getCursor(sessionId)
+    });
   } catch (error) {
     console.error('Error fetching statuses:', error);
-    const client = clients.get(clientId);
-    if (client?.ws && client.ws.readyState === WebSocket.OPEN) {
-      client.ws.send(JSON.stringify({
-        type: 'error',
-        code: 'STATUS_FETCH_ERROR',
-        message: `Error fetching statuses: ${error.message}`
-      }));
-    }
+    reply({
+      type: 'error',
+      code: 'STATUS_FETCH_ERROR',
+      message: `Error fetching statuses: ${error.message}`
+    });
   }
 }
 
+// Ping every connected client; a client that misses the pong deadline is
+// terminated, which clears its socket through the normal close handler
+setInterval(() => {
+  clients.forEach((client, clientId) => {
+    const ws = client.ws;
+    if (!ws || ws.readyState !== WebSocket.OPEN || client.pongTimer) {
+      return;
+    }
+    
+    client.pingSentAt = Date.now();
+    client.pongTimer = setTimeout(() => {
+      console.log(`Client ${clientId} missed pong deadline, terminating connection`);
+      ws.terminate();
+    }, WS_PING_TIMEOUT);
+    ws.ping();
+  });
+}, WS_PING_INTERVAL);
+
 // Clean up inactive clients periodically
 setInterval(() => {
   const now = Date.now();
@@ -451,14 +1579,102 @@ setInterval(() => {
   clients.forEach((client, clientId) => {
     if (!client.ws && (now - client.lastActivity > inactiveTimeout)) {
       console.log(`Removing inactive client: ${clientId}`);
+      unsubscribeClient(client.sessionId, clientId);
       clients.delete(clientId);
     }
   });
 }, 1000 * 60 * 15); // Check every 15 minutes
 
+// Expire sessions: stop unlinked sessions whose QR was never scanned, close
+// linked sessions nobody has used for MAX_INACTIVE_TIME_HOURS, and delete
+// sessions abandoned for SESSION_TIMEOUT_HOURS
+function reapSessions() {
+  const now = Date.now();
+  
+  sessions.forEach((session, sessionId) => {
+    const linked = isLinked(session.socket.authState.creds);
+    
+    if (!linked && now - session.startTime > QR_TIMEOUT_MS) {
+      session.sendQrToClient(null, 'disconnected', 'Session expired before it was linked');
+      closeSession(sessionId, 'QR code not scanned in time');
+      deleteSessionData(sessionId, 'never linked');
+    } else if (linked && now - getSessionLastSeen(sessionId) > MAX_INACTIVE_TIME_MS) {
+      closeSession(sessionId, `no client activity for ${MAX_INACTIVE_TIME_HOURS} hours`);
+    }
+  });
+  
+  // Session folders and secrets on disk that aren't running
+  const sessionIds = new Set();
+  fs.readdirSync(SESSION_DIR).forEach(name => {
+    const sessionId = name.replace(/\.secret$/, '');
+    if (SESSION_ID_PATTERN.test(sessionId) && !sessions.has(sessionId)) {
+      sessionIds.add(sessionId);
+    }
+  });
+  
+  sessionIds.forEach(sessionId => {
+    const idle = now - getSessionLastSeen(sessionId);
+    
+    if (!hasLinkedCreds(sessionId) && idle > QR_TIMEOUT_MS) {
+      deleteSessionData(sessionId, 'never linked');
+    } else if (idle > SESSION_TIMEOUT_MS) {
+      deleteSessionData(sessionId, `abandoned for more than ${SESSION_TIMEOUT_HOURS} hours`);
+    }
+  });
+}
+
+// Run the session reaper, logging instead of throwing
+function runSessionReaper() {
+  try {
+    reapSessions();
+  } catch (err) {
+    console.error('Error reaping sessions:', err);
+  }
+}
+
+setInterval(runSessionReaper, 1000 * 60 * 15); // Check every 15 minutes
+
+// Drop statuses past the retention period along with their cached media,
+// and tell subscribed clients so they can drop them too
+async function purgeExpiredStatuses() {
+  const now = Date.now();
+  
+  for (const sessionId of statusStore.getSessionIds()) {
+    const expired = statusStore.removeExpired(sessionId, now);
+    
+    for (const entry of expired) {
+      await mediaCache.removeStatusMedia(sessionId, entry.id).catch(err => {
+        console.error(`Error removing media for expired status ${entry.id}:`, err);
+      });
+      sendToSession(sessionId, {
+        type: 'status_expired',
+        status_id: entry.id,
+        author: entry.status.author,
+        expires_at: new Date(entry.expiresAt).toISOString()
+      });
+    }
+    
+    if (expired.length > 0) {
+      console.log(`Expired ${expired.length} statuses for session: ${sessionId}`);
+    }
+  }
+  
+  // Media for statuses the store no longer tracks, e.g. from before a restart
+  for (const sessionId of await mediaCache.listCachedSessions()) {
+    await mediaCache.pruneSessionMedia(sessionId, now - statusStore.STATUS_RETENTION_MS);
+  }
+}
+
+// Retry webhook deliveries that are due
+setInterval(webhooks.processQueue, WEBHOOK_POLL_INTERVAL_MS);
+
+setInterval(() => {
+  purgeExpiredStatuses().catch(err => console.error('Error purging expired statuses:', err));
+}, STATUS_EXPIRY_INTERVAL_MS);
+
 // API routes
 
-// Health check endpoint
+// Health check endpoint (unauthenticated, for load balancer probes)
 app.get('/health', (req, res) => {
   res.status(200).json({
     status: 'ok',
@@ -467,8 +1683,471 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Map protocol error codes to HTTP status codes
+const HTTP_STATUS_BY_CODE = {
+  INVALID_SESSION_ID: 400,
+  INVALID_PHONE_NUMBER: 400,
+  INVALID_QR_FORMAT: 400,
+  INVALID_SETTINGS: 400,
+  SESSION_FORBIDDEN: 403,
+  INVALID_TIME_RANGE: 400,
+  NO_STATUSES: 404,
+  INVALID_STATUS: 400,
+  INVALID_COLOR: 400,
+  INVALID_FONT: 400,
+  EMPTY_AUDIENCE: 400,
+  UNKNOWN_AUDIENCE: 400,
+  MEDIA_TOO_LARGE: 413,
+  UNSUPPORTED_MEDIA_TYPE: 415,
+  NOT_CONNECTED: 409,
+  POST_FAILED: 502,
+  DELIVERY_NOT_FOUND: 404,
+  VIEW_RECEIPTS_DISABLED: 403,
+  SESSION_NOT_FOUND: 404,
+  STATUS_NOT_FOUND: 404,
+  NO_MEDIA: 404,
+  ALREADY_LINKED: 409,
+  SECRET_EXISTS: 409,
+  STATUS_EXPIRED: 410,
+  NO_SESSION: 409
+};
+
+// Send an error as JSON with the HTTP status matching its code
+function sendRestError(res, err, fallbackCode) {
+  if (!err.code) {
+    console.error(`Unexpected error (${fallbackCode}):`, err);
+  }
+  res.status(HTTP_STATUS_BY_CODE[err.code] || 500).json({
+    code: err.code || fallbackCode,
+    message: err.message
+  });
+}
+
+// Serve a status's media or thumbnail from the on-disk cache.
+// sendFile handles Content-Type, ETag, conditional requests and Range/206.
+function serveStatusMedia(variant) {
+  return async (req, res) => {
+    const { sessionId, statusId } = req.params;
+    
+    if (!mediaCache.verifyMediaSignature(req.path, req.query.expires, req.query.sig)) {
+      return res.status(403).json({
+        code: 'INVALID_SIGNATURE',
+        message: 'Media link is invalid or has expired'
+      });
+    }
+    
+    try {
+      const { filePath, mimetype } = await resolveStatusMedia(sessionId, statusId, variant);
+      res.type(mimetype);
+      res.sendFile(filePath, { maxAge: '1h' });
+    } catch (err) {
+      sendRestError(res, err, 'MEDIA_ERROR');
+    }
+  };
+}
+
+// Status media endpoints, linked from status_update payloads.
+// These are authorised by their URL signature rather than the API key,
+// so image and video players can load them directly.
+app.get('/sessions/:sessionId/statuses/:statusId/media', serveStatusMedia('media'));
+app.get('/sessions/:sessionId/statuses/:statusId/thumbnail', serveStatusMedia('thumbnail'));
+
+// Every route registered below requires an API key
+app.use(auth.requireApiKey);
+
+// Reject unknown or malformed session IDs on session routes, and callers
+// without the session's owner secret in X-Session-Secret. The API key is
+// shipped in the app, so on its own it must not grant access to a session.
+function requireSession(req, res, next) {
+  const { sessionId } = req.params;
+  
+  if (!SESSION_ID_PATTERN.test(sessionId)) {
+    return sendRestError(res, createStatusError('INVALID_SESSION_ID', 'Invalid session ID'));
+  }
+  if (!sessionExists(sessionId)) {
+    return sendRestError(res, createStatusError('SESSION_NOT_FOUND', 'Session not found'));
+  }
+  if (!auth.verifySessionSecret(getSessionSecretPath(sessionId), req.headers['x-session-secret'])) {
+    console.warn(`Refused REST request for session ${sessionId}: invalid session secret`);
+    return sendRestError(res, createStatusError('SESSION_FORBIDDEN', 'Missing or invalid session secret for this session'));
+  }
+  next();
+}
+
+// Describe a session for REST responses
+function describeSession(sessionId) {
+  const session = sessions.get(sessionId);
+  const pairingCode = session?.pairingCode && session.pairingCode.expiresAt > Date.now()
+    ? session.pairingCode
+    : null;
+  
+  return {
+    session_id: sessionId,
+    state: getSessionState(sessionId),
+    started_at: session ? new Date(session.startTime).toISOString() : null,
+    subscribers: subscribers.get(sessionId)?.size || 0,
+    settings: getSessionSettings(sessionId),
+    pairing_code: pairingCode && {
+      code: pairingCode.code,
+      phone_number: pairingCode.phoneNumber,
+      expires_at: new Date(pairingCode.expiresAt).toISOString()
+    }
+  };
+}
+
+// Create a session and start linking; the response carries its owner secret
+app.post('/sessions', async (req, res) => {
+  const sessionId = uuidv4();
+  
+  try {
+    const secret = auth.issueSessionSecret(getSessionSecretPath(sessionId));
+    await startWhatsAppSession(sessionId, createSessionNotifier(sessionId));
+    console.log(`Started new session over REST: ${sessionId}`);
+    
+    res.status(201).json({
+      ...describeSession(sessionId),
+      session_secret: secret
+    });
+  } catch (err) {
+    sendRestError(res, err, 'SESSION_START_ERROR');
+  }
+});
+
+// Get a session's state
+app.get('/sessions/:sessionId', requireSession, (req, res) => {
+  res.status(200).json(describeSession(req.params.sessionId));
+});
+
+// Get the current QR code, in png (default), svg or raw format
+app.get('/sessions/:sessionId/qr', requireSession, async (req, res) => {
+  const format = req.query.format || 'png';
+  const currentQr = sessions.get(req.params.sessionId)?.currentQr;
+  
+  if (!QR_FORMATS.includes(format)) {
+    return sendRestError(res, createStatusError('INVALID_QR_FORMAT', `QR format must be one of: ${QR_FORMATS.join(', ')}`));
+  }
+  
+  try {
+    res.status(200).json({
+      state: getSessionState(req.params.sessionId),
+      qr: currentQr ? {
+        data: await renderQr(currentQr.qr, format),
+        format,
+        sequence: currentQr.sequence,
+        expires_at: new Date(currentQr.expiresAt).toISOString()
+      } : null
+    });
+  } catch (err) {
+    sendRestError(res, err, 'QR_ERROR');
+  }
+});
+
+// Request a pairing code for linking by phone number
+app.post('/sessions/:sessionId/pairing-code', requireSession, async (req, res) => {
+  try {
+    const pairing = await requestPairingCode(req.params.sessionId, req.body.phone_number);
+    res.status(200).json({
+      code: pairing.code,
+      phone_number: pairing.phoneNumber,
+      expires_at: new Date(pairing.expiresAt).toISOString()
+    });
+  } catch (err) {
+    sendRestError(res, err, 'PAIRING_ERROR');
+  }
+});
+
+// List a session's stored statuses, optionally only those after a cursor
+app.get('/sessions/:sessionId/statuses', requireSession, (req, res) => {
+  const { sessionId } = req.params;
+  const entries = statusStore.listStatuses(sessionId, statusStore.parseCursor(sessionId, req.query.since));
+  
+  res.status(200).json({
+    statuses: entries.map(entry => toClientStatus(sessionId, entry)),
+    since: statusStore.getCursor(sessionId)
+  });
+});
+
+// Post a status as the session's account. Text statuses are sent as JSON;
+// media can be uploaded as the raw request body (image/* or video/*) with
+// caption and a comma-separated audience in the query string.
+app.post('/sessions/:sessionId/statuses', requireSession,
+  express.raw({ type: ['image/*', 'video/*'], limit: statusPoster.STATUS_MAX_UPLOAD_BYTES }),
+  (err, req, res, next) => {
+    // Upload errors from express.raw, answered as JSON like every other failure
+    const code = err.type === 'entity.too.large' ? 'MEDIA_TOO_LARGE' : 'INVALID_STATUS';
+    sendRestError(res, createStatusError(code, err.message), 'POST_FAILED');
+  },
+  async (req, res) => {
+    try {
+      res.status(201).json(await postStatus(req.params.sessionId, buildPostStatusRequest(req)));
+    } catch (err) {
+      sendRestError(res, err, 'POST_FAILED');
+    }
+  });
+
+// Build a post_status request from a REST request: a JSON body, or a raw
+// media upload with caption and audience in the query string. Repeated query
+// parameters arrive as arrays, so both forms are accepted.
+function buildPostStatusRequest(req) {
+  if (!Buffer.isBuffer(req.body)) {
+    return req.body || {};
+  }
+  
+  const { caption, audience } = req.query;
+  return {
+    kind: req.is('video/*') ? 'video' : 'image',
+    media: req.body,
+    mime_type: req.headers['content-type'],
+    caption: Array.isArray(caption) ? caption.join(' ') : caption,
+    audience: audience === undefined
+      ? undefined
+      : [].concat(audience).flatMap(value => String(value).split(',')).map(value => value.trim()).filter(Boolean)
+  };
+}
+
+// Parse an export time bound given as an ISO date or a Unix timestamp in
+// seconds or milliseconds. Returns null when absent, NaN when invalid.
+function parseTimeParam(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  if (/^\d+$/.test(value)) {
+    const number = Number(value);
+    return number < 1e12 ? number * 1000 : number;
+  }
+  return Date.parse(value);
+}
+
+// Whether a status was posted by an author given as a JID, phone number or display name
+function matchesAuthor(status, author) {
+  const wanted = author.trim().toLowerCase();
+  const jid = (status.author_jid || '').toLowerCase();
+  return jid === wanted || jid.split('@')[0] === wanted.replace(/^\+/, '') ||
+    (status.author || '').toLowerCase() === wanted;
+}
+
+// Stream a ZIP of a session's stored statuses, optionally limited to a time
+// range and one author, with a manifest.json of their metadata
+app.get('/sessions/:sessionId/export', requireSession, async (req, res) => {
+  const { sessionId } = req.params;
+  const from = parseTimeParam(req.query.from);
+  const to = parseTimeParam(req.query.to);
+  const author = typeof req.query.author === 'string' && req.query.author.trim() ? req.query.author : null;
+  
+  if (Number.isNaN(from) || Number.isNaN(to) || (from !== null && to !== null && from > to)) {
+    return sendRestError(res, createStatusError('INVALID_TIME_RANGE', 'from and to must be ISO dates or Unix timestamps, with from before to'), 'EXPORT_ERROR');
+  }
+  
+  const entries = statusStore.listStatuses(sessionId).filter(entry =>
+    (from === null || entry.timestamp >= from) &&
+    (to === null || entry.timestamp <= to) &&
+    (!author || matchesAuthor(toClientStatus(sessionId, entry), author))
+  );
+  
+  if (entries.length === 0) {
+    return sendRestError(res, createStatusError('NO_STATUSES', 'No stored statuses match the export'), 'EXPORT_ERROR');
+  }
+  
+  console.log(`Exporting ${entries.length} statuses for session: ${sessionId}`);
+  res.attachment(`statuses-${sessionId}-${new Date().toISOString().slice(0, 10)}.zip`);
+  
+  try {
+    await statusExport.writeStatusArchive(res, {
+      entries,
+      toStatus: entry => {
+        // Signed links would expire long before the archive does
+        const { media_url, thumbnail_url, ...status } = toClientStatus(sessionId, entry);
+        return status;
+      },
+      resolveMedia: entry => resolveStatusMedia(sessionId, entry.id, 'media'),
+      manifest: {
+        session_id: sessionId,
+        exported_at: new Date().toISOString(),
+        from: from === null ? null : new Date(from).toISOString(),
+        to: to === null ? null : new Date(to).toISOString(),
+        author
+      }
+    });
+  } catch (err) {
+    // Headers are already sent, so all we can do is cut the download short
+    console.error(`Error exporting statuses for session ${sessionId}:`, err);
+    res.destroy(err);
+  }
+});
+
+// Send a read receipt for a status, when the session has view_receipts on
+app.post('/sessions/:sessionId/statuses/:statusId/viewed', requireSession, async (req, res) => {
+  try {
+    await markStatusViewed(req.params.sessionId, req.params.statusId);
+    res.status(200).json({ status_id: req.params.statusId });
+  } catch (err) {
+    sendRestError(res, err, 'RECEIPT_ERROR');
+  }
+});
+
+// Read or change a session's settings
+app.get('/sessions/:sessionId/settings', requireSession, (req, res) => {
+  res.status(200).json(getSessionSettings(req.params.sessionId));
+});
+
+app.patch('/sessions/:sessionId/settings', requireSession, (req, res) => {
+  try {
+    res.status(200).json(updateSessionSettings(req.params.sessionId, req.body || {}));
+  } catch (err) {
+    sendRestError(res, err, 'SETTINGS_ERROR');
+  }
+});
+
+// A session's contact directory
+app.get('/sessions/:sessionId/contacts', requireSession, (req, res) => {
+  res.status(200).json({ contacts: contactDirectory.listContacts(req.params.sessionId) });
+});
+
+// Log a session out of WhatsApp
+app.post('/sessions/:sessionId/logout', requireSession, async (req, res) => {
+  try {
+    await logoutSession(req.params.sessionId, 'logged out over REST');
+    res.status(200).json(describeSession(req.params.sessionId));
+  } catch (err) {
+    sendRestError(res, err, 'LOGOUT_ERROR');
+  }
+});
+
+// Delete a session, logging it out of WhatsApp first if it is linked
+app.delete('/sessions/:sessionId', requireSession, async (req, res) => {
+  const { sessionId } = req.params;
+  
+  try {
+    const session = sessions.get(sessionId);
+    const linked = session ? isLinked(session.socket.authState.creds) : hasLinkedCreds(sessionId);
+    if (linked) {
+      await logoutSession(sessionId, 'deleted over REST');
+    } else {
+      closeSession(sessionId, 'deleted over REST');
+      deleteSessionData(sessionId, 'deleted over REST');
+    }
+    res.status(204).end();
+  } catch (err) {
+    sendRestError(res, err, 'DELETE_ERROR');
+  }
+});
+
+// Issue an owner secret for a session linked before owner secrets existed.
+// Admin only, since whoever gets the secret controls the session.
+app.post('/sessions/:sessionId/secret', auth.requireAdminKey, (req, res) => {
+  const { sessionId } = req.params;
+  
+  if (!SESSION_ID_PATTERN.test(sessionId)) {
+    return sendRestError(res, createStatusError('INVALID_SESSION_ID', 'Invalid session ID'));
+  }
+  if (!sessionExists(sessionId)) {
+    return sendRestError(res, createStatusError('SESSION_NOT_FOUND', 'Session not found'));
+  }
+  if (!isLegacySession(sessionId)) {
+    return sendRestError(res, createStatusError('SECRET_EXISTS', 'Session already has an owner secret'));
+  }
+  
+  console.warn(`Issuing an owner secret for legacy session ${sessionId} (key ${req.apiKeyLabel})`);
+  const secret = auth.issueSessionSecret(getSessionSecretPath(sessionId));
+  res.status(201).json({ session_id: sessionId, session_secret: secret });
+});
+
+// Webhook deliveries that were dead-lettered (default) or are still being retried
+app.get('/webhooks/deliveries', auth.requireAdminKey, (req, res) => {
+  const state = req.query.state === 'pending' ? 'pending' : 'dead';
+  res.status(200).json({
+    enabled: webhooks.isEnabled(),
+    deliveries: webhooks.listDeliveries(state, req.query.session_id || null)
+  });
+});
+
+// Put a dead-lettered delivery back on the queue
+app.post('/webhooks/deliveries/:deliveryId/replay', auth.requireAdminKey, (req, res) => {
+  if (!webhooks.replayDelivery(req.params.deliveryId)) {
+    return sendRestError(res, createStatusError('DELIVERY_NOT_FOUND', 'No dead-lettered delivery with that ID'), 'REPLAY_ERROR');
+  }
+  res.status(202).json({ delivery_id: req.params.deliveryId, state: 'pending' });
+});
+
+// WebSocket protocol catalogue
+app.get('/protocol', (req, res) => {
+  res.status(200).json(protocol.describeProtocol());
+});
+
+// Per-client connection stats, including the latest ping round-trip time
+app.get('/stats', auth.requireAdminKey, (req, res) => {
+  const clientStats = [];
+  
+  clients.forEach((client, clientId) => {
+    clientStats.push({
+      client_id: clientId,
+      session_id: client.sessionId,
+      connected: Boolean(client.ws && client.ws.readyState === WebSocket.OPEN),
+      rtt_ms: client.rtt ?? null,
+      last_activity: new Date(client.lastActivity).toISOString()
+    });
+  });
+  
+  res.status(200).json({
+    clients: clientStats,
+    sessions: sessions.size
+  });
+});
+
+// Whether auth creds belong to a linked device. creds.me is already set while
+// a pairing code is pending, but creds.account only once pairing succeeds.
+function isLinked(creds) {
+  return Boolean(creds?.account);
+}
+
+// Whether a session folder holds creds for a linked WhatsApp account
+function hasLinkedCreds(sessionId) {
+  try {
+    const creds = JSON.parse(fs.readFileSync(path.join(SESSION_DIR, sessionId, 'creds.json'), 'utf8'));
+    return isLinked(creds);
+  } catch (err) {
+    return false;
+  }
+}
+
+// Restart every linked session found in SESSION_DIR, staggered so they
+// don't all reconnect to WhatsApp at once
+async function restoreSessions() {
+  const entries = await fs.promises.readdir(SESSION_DIR, { withFileTypes: true });
+  const sessionIds = entries
+    .filter(entry => entry.isDirectory() && SESSION_ID_PATTERN.test(entry.name))
+    .map(entry => entry.name)
+    .filter(sessionId => hasLinkedCreds(sessionId) &&
+      Date.now() - getSessionLastSeen(sessionId) < MAX_INACTIVE_TIME_MS);
+  
+  console.log(`Restoring ${sessionIds.length} linked sessions`);
+  
+  for (let i = 0; i < sessionIds.length; i++) {
+    const sessionId = sessionIds[i];
+    
+    if (i > 0) {
+      await new Promise(resolve => setTimeout(resolve, SESSION_RESTORE_STAGGER_MS));
+    }
+    
+    // A client may have reconnected and started it already
+    if (sessions.has(sessionId)) {
+      continue;
+    }
+    
+    try {
+      // No client is attached yet, so session events have nowhere to go
+      await startWhatsAppSession(sessionId, () => {});
+      console.log(`Restored session: ${sessionId}`);
+    } catch (err) {
+      console.error(`Failed to restore session ${sessionId}: ${err.message}`);
+    }
+  }
+}
+
 // Start the server
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  runSessionReaper();
+  restoreSessions().catch(err => console.error('Error restoring sessions:', err));
 });
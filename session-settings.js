@@ -0,0 +1,57 @@
+// Per-session settings, saved as JSON next to the session's auth state.
+// Every setting defaults to the most private behaviour.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SETTINGS = {
+  // Send read receipts when a client marks a status as viewed
+  view_receipts: false,
+  // Extra webhook target for this session's events
+  webhook_url: null
+};
+
+// settings file path -> settings, so lookups don't hit the disk
+const cache = new Map();
+
+// Read a session's settings, filling in defaults for anything unset
+function getSettings(filePath) {
+  if (!cache.has(filePath)) {
+    let saved = {};
+    try {
+      saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`Error reading session settings ${filePath}:`, err);
+      }
+    }
+    cache.set(filePath, { ...DEFAULT_SETTINGS, ...saved });
+  }
+  return { ...cache.get(filePath) };
+}
+
+// Apply changes to known settings and save them. Unknown keys are ignored.
+function updateSettings(filePath, changes) {
+  const settings = getSettings(filePath);
+  Object.keys(DEFAULT_SETTINGS).forEach(key => {
+    if (changes[key] !== undefined) {
+      settings[key] = changes[key];
+    }
+  });
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(settings), { mode: 0o600 });
+  cache.set(filePath, settings);
+  return { ...settings };
+}
+
+// Drop cached settings, e.g. once the session's files are deleted
+function forgetSettings(filePath) {
+  cache.delete(filePath);
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  getSettings,
+  updateSettings,
+  forgetSettings
+};
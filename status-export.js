@@ -0,0 +1,122 @@
+// Stream stored statuses into a ZIP archive: one file per status, named by
+// author, time and kind, plus a manifest.json describing every status.
+// Entries are added one at a time and read from the media cache on disk, so
+// memory use stays flat however many statuses are exported.
+const { pipeline } = require('stream/promises');
+const archiver = require('archiver');
+
+// File extensions for the media types statuses carry
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp',
+  'video/quicktime': 'mov',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac'
+};
+
+// File extension for a media type
+function getExtension(mimetype) {
+  const type = (mimetype || '').split(';')[0].trim().toLowerCase();
+  return EXTENSIONS[type] || type.split('/')[1] || 'bin';
+}
+
+// Make a string safe to use in a file name
+function sanitize(value) {
+  return String(value || 'unknown')
+    .normalize('NFKD')
+    .replace(/[^\w.-]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 60) || 'unknown';
+}
+
+// author_2024-05-01_08-30-00_video, unique within the archive
+function buildFileName(status, timestamp, extension, usedNames) {
+  const time = new Date(timestamp).toISOString().slice(0, 19).replace('T', '_').replace(/:/g, '-');
+  const base = `${sanitize(status.author)}_${time}_${status.kind}`;
+
+  let name = `${base}.${extension}`;
+  for (let index = 2; usedNames.has(name); index++) {
+    name = `${base}_${index}.${extension}`;
+  }
+  usedNames.add(name);
+  return name;
+}
+
+// Write statuses to a ZIP archive piped into output.
+// resolveMedia(entry) resolves to { filePath } for entries with media;
+// its failures are recorded in the manifest instead of aborting the export.
+// Resolves once the archive has been written, or quietly if output closes
+// early (e.g. the client cancelled the download); rejects on archive errors.
+async function writeStatusArchive(output, { entries, toStatus, resolveMedia, manifest }) {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const usedNames = new Set();
+  const statuses = [];
+
+  archive.on('warning', err => console.warn('Status export warning:', err));
+
+  // Handle failures as soon as they happen, even while awaiting media below
+  let finished = false;
+  let failure = null;
+  const written = pipeline(archive, output)
+    .then(() => {
+      finished = true;
+    })
+    .catch(err => {
+      failure = err;
+    });
+
+  // Stop queued work once nobody is reading the archive any more
+  output.on('close', () => {
+    if (!finished) {
+      archive.abort();
+    }
+  });
+
+  for (const entry of entries) {
+    if (failure || output.destroyed) {
+      break;
+    }
+
+    const status = toStatus(entry);
+    const record = { ...status, file: null };
+
+    if (entry.media) {
+      try {
+        const { filePath } = await resolveMedia(entry);
+        record.file = buildFileName(status, entry.timestamp, getExtension(entry.media.mimetype), usedNames);
+        // Media is already compressed, so store it as is
+        archive.file(filePath, { name: record.file, store: true, date: new Date(entry.timestamp) });
+      } catch (err) {
+        record.media_error = err.code || 'MEDIA_ERROR';
+      }
+    } else if (status.content) {
+      record.file = buildFileName(status, entry.timestamp, 'txt', usedNames);
+      archive.append(status.content, { name: record.file, date: new Date(entry.timestamp) });
+    }
+
+    statuses.push(record);
+  }
+
+  if (!failure && !output.destroyed) {
+    archive.append(JSON.stringify({ ...manifest, count: statuses.length, statuses }, null, 2), { name: 'manifest.json' });
+    // Errors surface through the pipeline as well
+    archive.finalize().catch(() => {});
+  } else {
+    archive.abort();
+  }
+
+  await written;
+  if (failure && failure.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+    throw failure;
+  }
+}
+
+module.exports = {
+  getExtension,
+  writeStatusArchive
+};
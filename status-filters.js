@@ -0,0 +1,61 @@
+// Per-client status filters set with the subscribe message: which authors
+// and kinds of status a client wants, and whether media is sent inline.
+
+const STATUS_KINDS = ['text', 'image', 'video', 'gif', 'audio', 'sticker', 'unknown'];
+const MEDIA_MODES = ['reference', 'inline'];
+
+// Filters for clients that haven't subscribed: everything, media by reference
+const DEFAULT_FILTERS = {
+  allow_authors: null,
+  deny_authors: [],
+  kinds: null,
+  media: 'reference'
+};
+
+// Normalise a list of JIDs or phone numbers for comparison
+function normalizeAuthors(authors) {
+  return authors.map(author => String(author).trim().toLowerCase()).filter(Boolean);
+}
+
+// Build filters from a validated subscribe message. Omitted fields fall back
+// to the defaults, so each subscribe replaces the previous filters.
+function createFilters(options = {}) {
+  return {
+    allow_authors: Array.isArray(options.allow_authors) ? normalizeAuthors(options.allow_authors) : null,
+    deny_authors: Array.isArray(options.deny_authors) ? normalizeAuthors(options.deny_authors) : [],
+    kinds: Array.isArray(options.kinds) ? options.kinds.filter(kind => STATUS_KINDS.includes(kind)) : null,
+    media: MEDIA_MODES.includes(options.media) ? options.media : DEFAULT_FILTERS.media
+  };
+}
+
+// Whether an author JID appears in a list, by full JID or phone number
+function includesAuthor(list, jid) {
+  const normalized = (jid || '').toLowerCase();
+  const user = normalized.split('@')[0];
+  return list.some(author => author === normalized || author === user);
+}
+
+// Whether a client status passes a client's filters
+function matchesFilters(filters, status) {
+  if (!filters) {
+    return true;
+  }
+  if (filters.allow_authors && !includesAuthor(filters.allow_authors, status.author_jid)) {
+    return false;
+  }
+  if (includesAuthor(filters.deny_authors, status.author_jid)) {
+    return false;
+  }
+  if (filters.kinds && !filters.kinds.includes(status.kind)) {
+    return false;
+  }
+  return true;
+}
+
+module.exports = {
+  STATUS_KINDS,
+  MEDIA_MODES,
+  DEFAULT_FILTERS,
+  createFilters,
+  matchesFilters
+};
@@ -0,0 +1,166 @@
+// Normalise the different kinds of status message into one shape.
+// Wrapper messages (ephemeral, view-once, edited) are unwrapped first, then
+// each kind contributes its own metadata.
+const { normalizeMessageContent, getContentType, proto } = require('baileys');
+
+// Names for ExtendedTextMessage.FontType values used by text statuses
+const FONT_NAMES = {
+  0: 'system',
+  1: 'system_text',
+  2: 'fb_script',
+  6: 'system_bold',
+  7: 'morningbreeze_regular',
+  8: 'calistoga_regular',
+  9: 'exo2_extrabold',
+  10: 'courierprime_bold'
+};
+
+// Wrappers that mark a message as view-once
+const VIEW_ONCE_WRAPPERS = ['viewOnceMessage', 'viewOnceMessageV2', 'viewOnceMessageV2Extension'];
+
+// Format an ARGB colour number as #AARRGGBB
+function formatArgb(argb) {
+  if (argb === null || argb === undefined) {
+    return null;
+  }
+  return `#${(Number(argb) >>> 0).toString(16).padStart(8, '0').toUpperCase()}`;
+}
+
+// Unwrap a status message's content, returning the inner content, its type and
+// whether it was sent as view-once
+function unwrapStatusMessage(message) {
+  const content = normalizeMessageContent(message);
+  const type = getContentType(content);
+  const viewOnce = VIEW_ONCE_WRAPPERS.some(wrapper => message?.[wrapper]) ||
+    Boolean(type && content[type]?.viewOnce);
+
+  return { content, type, viewOnce };
+}
+
+// Work out a status's kind and per-kind metadata
+function normalizeStatusMessage(message) {
+  const { content, type, viewOnce } = unwrapStatusMessage(message);
+  const inner = type ? content[type] : null;
+
+  const status = {
+    kind: 'unknown',
+    content: '',
+    is_video: false,
+    view_once: viewOnce,
+    metadata: {}
+  };
+
+  switch (type) {
+    case 'conversation':
+      status.kind = 'text';
+      status.content = content.conversation;
+      break;
+
+    case 'extendedTextMessage':
+      status.kind = 'text';
+      status.content = inner.text || '';
+      status.metadata = {
+        background_color: formatArgb(inner.backgroundArgb),
+        text_color: formatArgb(inner.textArgb),
+        font: inner.font !== null && inner.font !== undefined ? FONT_NAMES[inner.font] || String(inner.font) : null,
+        link: inner.matchedText || null
+      };
+      break;
+
+    case 'imageMessage':
+      status.kind = 'image';
+      status.content = inner.caption || '';
+      status.metadata = {
+        width: inner.width || null,
+        height: inner.height || null,
+        mime_type: inner.mimetype || null
+      };
+      break;
+
+    case 'videoMessage':
+      status.kind = inner.gifPlayback ? 'gif' : 'video';
+      status.is_video = true;
+      status.content = inner.caption || '';
+      status.metadata = {
+        width: inner.width || null,
+        height: inner.height || null,
+        duration: inner.seconds || null,
+        mime_type: inner.mimetype || null
+      };
+      break;
+
+    case 'audioMessage':
+      status.kind = 'audio';
+      status.metadata = {
+        duration: inner.seconds || null,
+        is_voice: Boolean(inner.ptt),
+        waveform: inner.waveform ? Array.from(inner.waveform) : null,
+        mime_type: inner.mimetype || null
+      };
+      break;
+
+    case 'stickerMessage':
+      status.kind = 'sticker';
+      status.metadata = {
+        width: inner.width || null,
+        height: inner.height || null,
+        is_animated: Boolean(inner.isAnimated),
+        mime_type: inner.mimetype || null
+      };
+      break;
+  }
+
+  return status;
+}
+
+// ID of the status a revoke message deletes, or null if the message isn't a revoke
+function getRevokedStatusId(message) {
+  const { content, type } = unwrapStatusMessage(message);
+  if (type !== 'protocolMessage') {
+    return null;
+  }
+
+  const protocolMessage = content.protocolMessage;
+  if (protocolMessage.type !== proto.Message.ProtocolMessage.Type.REVOKE) {
+    return null;
+  }
+  return protocolMessage.key?.id || null;
+}
+
+// Whether a message is a protocol message (revoke, ephemeral setting, etc.)
+// rather than a status a contact posted
+function isProtocolMessage(message) {
+  return unwrapStatusMessage(message).type === 'protocolMessage';
+}
+
+// Media that can be downloaded for a status, or null for text statuses
+function getStatusMedia(message) {
+  const { content, type } = unwrapStatusMessage(message);
+  const inner = type ? content[type] : null;
+
+  const defaults = {
+    imageMessage: { type: 'image', mimetype: 'image/jpeg' },
+    videoMessage: { type: 'video', mimetype: 'video/mp4' },
+    audioMessage: { type: 'audio', mimetype: 'audio/ogg; codecs=opus' },
+    stickerMessage: { type: 'sticker', mimetype: 'image/webp' }
+  };
+
+  if (!defaults[type]) {
+    return null;
+  }
+
+  return {
+    type: defaults[type].type,
+    mimetype: inner.mimetype || defaults[type].mimetype,
+    jpegThumbnail: inner.jpegThumbnail?.length ? Buffer.from(inner.jpegThumbnail) : null
+  };
+}
+
+module.exports = {
+  FONT_NAMES,
+  unwrapStatusMessage,
+  normalizeStatusMessage,
+  getRevokedStatusId,
+  isProtocolMessage,
+  getStatusMedia
+};
@@ -0,0 +1,102 @@
+// Build the Baileys message content for a status the user posts themselves.
+// Requests are checked here so every failure has a specific error code.
+const { FONT_NAMES } = require('./status-normalizer');
+
+const POST_STATUS_KINDS = ['text', 'image', 'video'];
+
+// Largest media upload accepted for a status
+const STATUS_MAX_UPLOAD_BYTES = (parseFloat(process.env.STATUS_MAX_UPLOAD_MB) || 16) * 1024 * 1024;
+
+// Accepted media types per kind
+const MEDIA_TYPES = {
+  image: ['image/jpeg', 'image/png', 'image/webp'],
+  video: ['video/mp4', 'video/3gpp', 'video/quicktime']
+};
+
+// Font name (as reported on received statuses) -> FontType value
+const FONT_IDS = Object.fromEntries(Object.entries(FONT_NAMES).map(([id, name]) => [name, Number(id)]));
+
+// #RRGGBB or #AARRGGBB
+const COLOR_PATTERN = /^#([0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+// Create an error carrying one of the post_status error codes
+function createPostError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Resolve a font given by name or FontType number
+function resolveFont(font) {
+  if (font === undefined || font === null) {
+    return undefined;
+  }
+  if (typeof font === 'number' && FONT_NAMES[font]) {
+    return font;
+  }
+  if (typeof font === 'string' && FONT_IDS[font] !== undefined) {
+    return FONT_IDS[font];
+  }
+  throw createPostError('INVALID_FONT', `font must be one of ${Object.values(FONT_NAMES).join(', ')}`);
+}
+
+// Build a text status with optional background colour and font
+function buildTextStatus(request) {
+  if (typeof request.text !== 'string' || !request.text.trim()) {
+    throw createPostError('INVALID_STATUS', 'Text statuses need text');
+  }
+
+  const options = {};
+  if (request.background_color !== undefined && request.background_color !== null) {
+    if (!COLOR_PATTERN.test(request.background_color)) {
+      throw createPostError('INVALID_COLOR', 'background_color must be #RRGGBB or #AARRGGBB');
+    }
+    options.backgroundColor = request.background_color;
+  }
+
+  const font = resolveFont(request.font);
+  if (font !== undefined) {
+    options.font = font;
+  }
+
+  return { content: { text: request.text }, options };
+}
+
+// Build an image or video status from a Buffer (or base64 string) with an optional caption
+function buildMediaStatus(request) {
+  const media = Buffer.isBuffer(request.media)
+    ? request.media
+    : Buffer.from(typeof request.media === 'string' ? request.media : '', 'base64');
+
+  if (media.length === 0) {
+    throw createPostError('INVALID_STATUS', `${request.kind} statuses need media`);
+  }
+  if (media.length > STATUS_MAX_UPLOAD_BYTES) {
+    throw createPostError('MEDIA_TOO_LARGE', `Media must be at most ${STATUS_MAX_UPLOAD_BYTES} bytes`);
+  }
+
+  const mimetype = (request.mime_type || MEDIA_TYPES[request.kind][0]).split(';')[0].trim().toLowerCase();
+  if (!MEDIA_TYPES[request.kind].includes(mimetype)) {
+    throw createPostError('UNSUPPORTED_MEDIA_TYPE', `${request.kind} statuses accept ${MEDIA_TYPES[request.kind].join(', ')}`);
+  }
+
+  const content = { [request.kind]: media, mimetype };
+  if (request.caption) {
+    content.caption = String(request.caption);
+  }
+  return { content, options: {} };
+}
+
+// Build the message content and sendMessage options for a post_status request
+function buildStatusMessage(request) {
+  if (!POST_STATUS_KINDS.includes(request.kind)) {
+    throw createPostError('INVALID_STATUS', `kind must be one of ${POST_STATUS_KINDS.join(', ')}`);
+  }
+  return request.kind === 'text' ? buildTextStatus(request) : buildMediaStatus(request);
+}
+
+module.exports = {
+  POST_STATUS_KINDS,
+  STATUS_MAX_UPLOAD_BYTES,
+  buildStatusMessage
+};
@@ -0,0 +1,192 @@
+// Per-session store of received status messages.
+// Keeps the raw Baileys message alongside the processed status so media
+// can be downloaded on demand after the status has been delivered.
+const crypto = require('crypto');
+const { getStatusMedia } = require('./status-normalizer');
+
+// WhatsApp statuses disappear after 24 hours. STATUS_RETENTION_HOURS lets
+// deployments that are allowed to keep statuses longer do so.
+const STATUS_RETENTION_MS = (parseFloat(process.env.STATUS_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
+
+// sessionId -> Map(statusId -> entry)
+const stores = new Map();
+
+// sessionId -> last sequence number handed out; used as the replay cursor
+const sequences = new Map();
+
+// sessionId -> random epoch for its sequence numbers. Sequences start again
+// at 0 after a restart or clearSession, so cursors carry the epoch they were
+// issued in and a cursor from another epoch replays everything.
+const epochs = new Map();
+
+// Get the store for a session, creating it if needed
+function getSessionStore(sessionId) {
+  let store = stores.get(sessionId);
+  if (!store) {
+    store = new Map();
+    stores.set(sessionId, store);
+  }
+  return store;
+}
+
+// When a status was posted, in milliseconds
+function getStatusTimestamp(msg) {
+  return msg.messageTimestamp ? Number(msg.messageTimestamp) * 1000 : Date.now();
+}
+
+// Add a received status message to the session store.
+// Each new status gets a per-session sequence number, so a client can ask
+// for everything after the last cursor it saw, even when history sync
+// delivers statuses out of timestamp order.
+function addStatus(sessionId, msg, status) {
+  const store = getSessionStore(sessionId);
+  const existing = store.get(msg.key.id);
+  if (existing) {
+    return existing;
+  }
+  
+  const seq = (sequences.get(sessionId) || 0) + 1;
+  sequences.set(sessionId, seq);
+  
+  const timestamp = getStatusTimestamp(msg);
+  const entry = {
+    id: msg.key.id,
+    seq,
+    key: msg.key,
+    message: msg,
+    media: getStatusMedia(msg.message),
+    timestamp,
+    expiresAt: timestamp + STATUS_RETENTION_MS,
+    status
+  };
+
+  store.set(entry.id, entry);
+  return entry;
+}
+
+// Look up a stored status by ID
+function getStatus(sessionId, statusId) {
+  const store = stores.get(sessionId);
+  return store ? store.get(statusId) || null : null;
+}
+
+// Remove a status from the store, returning the removed entry or null
+function removeStatus(sessionId, statusId) {
+  const entry = getStatus(sessionId, statusId);
+  if (entry) {
+    stores.get(sessionId).delete(statusId);
+  }
+  return entry;
+}
+
+// Whether a status has already been stored
+function hasStatus(sessionId, statusId) {
+  return getStatus(sessionId, statusId) !== null;
+}
+
+// Whether a stored status is past its retention period
+function isExpired(entry, now = Date.now()) {
+  return now >= entry.expiresAt;
+}
+
+// Whether a message is already past the retention period, so not worth storing
+function isMessageExpired(msg, now = Date.now()) {
+  return now >= getStatusTimestamp(msg) + STATUS_RETENTION_MS;
+}
+
+// List live statuses stored after the given cursor, oldest first.
+// Expired statuses are left for removeExpired so clients hear about them.
+function listStatuses(sessionId, since = 0) {
+  const store = stores.get(sessionId);
+  if (!store) {
+    return [];
+  }
+  
+  const now = Date.now();
+  const entries = [];
+  
+  store.forEach(entry => {
+    if (entry.seq > since && !isExpired(entry, now)) {
+      entries.push(entry);
+    }
+  });
+  
+  return entries.sort((a, b) => a.seq - b.seq);
+}
+
+// Remove a session's expired statuses, returning the removed entries
+function removeExpired(sessionId, now = Date.now()) {
+  const store = stores.get(sessionId);
+  if (!store) {
+    return [];
+  }
+  
+  const removed = [];
+  store.forEach((entry, statusId) => {
+    if (isExpired(entry, now)) {
+      store.delete(statusId);
+      removed.push(entry);
+    }
+  });
+  return removed;
+}
+
+// IDs of every session with stored statuses
+function getSessionIds() {
+  return Array.from(stores.keys());
+}
+
+// Epoch of a session's current sequence numbers, creating it if needed
+function getEpoch(sessionId) {
+  let epoch = epochs.get(sessionId);
+  if (!epoch) {
+    epoch = crypto.randomBytes(6).toString('base64url');
+    epochs.set(sessionId, epoch);
+  }
+  return epoch;
+}
+
+// Cursor for a sequence number, as <epoch>:<seq>
+function formatCursor(sessionId, seq) {
+  return `${getEpoch(sessionId)}:${seq}`;
+}
+
+// Current replay cursor for a session
+function getCursor(sessionId) {
+  return formatCursor(sessionId, sequences.get(sessionId) || 0);
+}
+
+// Sequence number a client-supplied cursor points at. Cursors that are
+// missing, malformed or from another epoch (e.g. before a restart) give 0,
+// so the client is sent everything rather than silently missing statuses.
+function parseCursor(sessionId, value) {
+  const match = /^([A-Za-z0-9_-]+):(\d+)$/.exec(String(value ?? ''));
+  if (!match || match[1] !== epochs.get(sessionId)) {
+    return 0;
+  }
+  return Number(match[2]);
+}
+
+// Drop every stored status for a session
+function clearSession(sessionId) {
+  stores.delete(sessionId);
+  sequences.delete(sessionId);
+  epochs.delete(sessionId);
+}
+
+module.exports = {
+  STATUS_RETENTION_MS,
+  addStatus,
+  getStatus,
+  removeStatus,
+  hasStatus,
+  isExpired,
+  isMessageExpired,
+  listStatuses,
+  removeExpired,
+  getSessionIds,
+  formatCursor,
+  getCursor,
+  parseCursor,
+  clearSession
+};
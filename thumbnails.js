@@ -0,0 +1,54 @@
+// Thumbnail generation for image and video statuses
+const { execFile } = require('child_process');
+const sharp = require('sharp');
+
+// Longest edge of generated thumbnails, in pixels
+const THUMBNAIL_SIZE = parseInt(process.env.THUMBNAIL_SIZE, 10) || 200;
+
+// JPEG quality of generated thumbnails
+const THUMBNAIL_QUALITY = 70;
+
+// ffmpeg binary used to grab video frames; ffmpeg-static ships one for Render
+const FFMPEG_PATH = process.env.FFMPEG_PATH || require('ffmpeg-static');
+
+// Resize an image buffer into a small JPEG
+async function generateImageThumbnail(input) {
+  return sharp(input)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: THUMBNAIL_QUALITY })
+    .toBuffer();
+}
+
+// Grab the first frame of a video file as a small JPEG
+function generateVideoThumbnail(videoPath) {
+  return new Promise((resolve, reject) => {
+    const args = [
+      '-hide_banner',
+      '-loglevel', 'error',
+      '-i', videoPath,
+      '-frames:v', '1',
+      '-vf', `scale=${THUMBNAIL_SIZE}:${THUMBNAIL_SIZE}:force_original_aspect_ratio=decrease`,
+      '-q:v', '5',
+      '-f', 'image2',
+      '-c:v', 'mjpeg',
+      'pipe:1'
+    ];
+
+    execFile(FFMPEG_PATH, args, { encoding: 'buffer', maxBuffer: 10 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) {
+        reject(new Error(`ffmpeg failed: ${stderr.toString().trim() || err.message}`));
+      } else if (!stdout.length) {
+        reject(new Error('ffmpeg produced no frame'));
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+module.exports = {
+  THUMBNAIL_SIZE,
+  generateImageThumbnail,
+  generateVideoThumbnail
+};
@@ -0,0 +1,301 @@
+// Signed webhook delivery of session events, through a durable on-disk queue.
+// Each delivery is a JSON file under WEBHOOK_QUEUE_DIR/pending until it
+// succeeds, and is moved to WEBHOOK_QUEUE_DIR/dead after WEBHOOK_MAX_ATTEMPTS
+// failures, from where it can be listed and replayed.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+
+const WEBHOOK_QUEUE_DIR = process.env.WEBHOOK_QUEUE_DIR || './webhook_queue';
+const PENDING_DIR = path.join(WEBHOOK_QUEUE_DIR, 'pending');
+const DEAD_DIR = path.join(WEBHOOK_QUEUE_DIR, 'dead');
+
+// Secret for signing deliveries; webhooks are disabled without one
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+
+// Targets that receive events from every session
+const GLOBAL_WEBHOOK_URLS = (process.env.WEBHOOK_URLS || '')
+  .split(',')
+  .map(url => url.trim())
+  .filter(Boolean);
+
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 5000;
+const WEBHOOK_RETRY_MAX_MS = parseInt(process.env.WEBHOOK_RETRY_MAX_MS, 10) || 60 * 60 * 1000;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+// Events that can be delivered
+const WEBHOOK_EVENTS = ['status_update', 'status_deleted', 'connected', 'logged_out'];
+
+// Addresses a session's own webhook_url may not reach: loopback, private,
+// link-local (cloud metadata), carrier-grade NAT, multicast and reserved ranges.
+// Targets from WEBHOOK_URLS are set by the operator and not restricted.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Only allow delivery IDs that are safe to use as file names
+const SAFE_ID = /^[A-Za-z0-9_-]+$/;
+
+if (!WEBHOOK_SECRET) {
+  console.warn('WEBHOOK_SECRET not set, webhook delivery is disabled');
+}
+
+fs.mkdirSync(PENDING_DIR, { recursive: true });
+fs.mkdirSync(DEAD_DIR, { recursive: true });
+
+// Whether deliveries can be signed and sent
+function isEnabled() {
+  return Boolean(WEBHOOK_SECRET);
+}
+
+// Whether an IP address is one a session webhook may not reach
+function isBlockedAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  }
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Whether a value is an http(s) URL a session may use as its webhook_url.
+// Host names are checked again after DNS resolution when delivering.
+function isAllowedWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    return false;
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return false;
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    return false;
+  }
+  return !net.isIP(host) || !isBlockedAddress(host);
+}
+
+// Resolve a session webhook's host and refuse blocked addresses, so a host
+// name pointing at an internal address can't be used to reach it
+async function assertPublicTarget(url) {
+  if (!isAllowedWebhookUrl(url)) {
+    throw new Error('Target address is not allowed');
+  }
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new Error('Target resolves to an address that is not allowed');
+  }
+}
+
+// Signature over the timestamp and raw body, sent as X-Webhook-Signature
+function signPayload(timestamp, body) {
+  const digest = crypto
+    .createHmac('sha256', WEBHOOK_SECRET)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `sha256=${digest}`;
+}
+
+// Write a delivery record, via a temp file so a crash never leaves half a record
+function writeDelivery(dir, delivery) {
+  const filePath = path.join(dir, `${delivery.id}.json`);
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(delivery));
+  fs.renameSync(tempPath, filePath);
+}
+
+// Read every delivery record in a queue directory, oldest first
+function readDeliveries(dir) {
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+      } catch (err) {
+        console.error(`Skipping unreadable webhook delivery ${name}:`, err.message);
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.created_at - b.created_at);
+}
+
+// Queue an event for each target URL. Returns the event ID.
+function enqueueEvent(urls, sessionId, type, data) {
+  const targets = Array.from(new Set([...GLOBAL_WEBHOOK_URLS, ...urls.filter(Boolean)]));
+  if (!isEnabled() || targets.length === 0) {
+    return null;
+  }
+
+  const event = {
+    id: uuidv4(),
+    type,
+    session_id: sessionId,
+    timestamp: new Date().toISOString(),
+    data
+  };
+
+  targets.forEach(url => {
+    writeDelivery(PENDING_DIR, {
+      id: uuidv4(),
+      url,
+      event,
+      attempts: 0,
+      next_attempt_at: Date.now(),
+      last_error: null,
+      created_at: Date.now()
+    });
+  });
+
+  setImmediate(processQueue);
+  return event.id;
+}
+
+// Jittered exponential backoff for the given number of failed attempts
+function getRetryDelay(attempts) {
+  const delay = Math.min(WEBHOOK_RETRY_MAX_MS, WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1));
+  return delay / 2 + Math.random() * delay / 2;
+}
+
+// POST one delivery, throwing if the target doesn't answer with a 2xx
+async function sendDelivery(delivery) {
+  if (!GLOBAL_WEBHOOK_URLS.includes(delivery.url)) {
+    await assertPublicTarget(delivery.url);
+  }
+
+  const body = JSON.stringify(delivery.event);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  const response = await fetch(delivery.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Webhook-Id': delivery.event.id,
+      'X-Webhook-Event': delivery.event.type,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': signPayload(timestamp, body)
+    },
+    body,
+    // A redirect could point anywhere, including addresses refused above
+    redirect: 'error',
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+}
+
+let processing = false;
+
+// Send every delivery that is due. Failures are rescheduled, or dead-lettered
+// once they have used up WEBHOOK_MAX_ATTEMPTS.
+async function processQueue() {
+  if (processing || !isEnabled()) {
+    return;
+  }
+  processing = true;
+
+  try {
+    const now = Date.now();
+    const due = readDeliveries(PENDING_DIR).filter(delivery => delivery.next_attempt_at <= now);
+
+    for (const delivery of due) {
+      const filePath = path.join(PENDING_DIR, `${delivery.id}.json`);
+      delivery.attempts += 1;
+
+      try {
+        await sendDelivery(delivery);
+        fs.rmSync(filePath, { force: true });
+        continue;
+      } catch (err) {
+        delivery.last_error = err.message;
+      }
+
+      if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+        console.warn(`Webhook delivery ${delivery.id} to ${delivery.url} failed ${delivery.attempts} times, dead-lettering: ${delivery.last_error}`);
+        delivery.dead_at = Date.now();
+        writeDelivery(DEAD_DIR, delivery);
+        fs.rmSync(filePath, { force: true });
+      } else {
+        delivery.next_attempt_at = Date.now() + getRetryDelay(delivery.attempts);
+        writeDelivery(PENDING_DIR, delivery);
+      }
+    }
+  } catch (err) {
+    console.error('Error processing webhook queue:', err);
+  } finally {
+    processing = false;
+  }
+}
+
+// Delivery as returned by the REST API
+function describeDelivery(delivery, state) {
+  return {
+    delivery_id: delivery.id,
+    state,
+    url: delivery.url,
+    event_id: delivery.event.id,
+    event_type: delivery.event.type,
+    session_id: delivery.event.session_id,
+    attempts: delivery.attempts,
+    last_error: delivery.last_error,
+    created_at: new Date(delivery.created_at).toISOString(),
+    next_attempt_at: state === 'pending' ? new Date(delivery.next_attempt_at).toISOString() : null
+  };
+}
+
+// List dead-lettered deliveries, or retrying ones with state 'pending'
+function listDeliveries(state = 'dead', sessionId = null) {
+  const dir = state === 'pending' ? PENDING_DIR : DEAD_DIR;
+  return readDeliveries(dir)
+    .filter(delivery => !sessionId || delivery.event.session_id === sessionId)
+    .map(delivery => describeDelivery(delivery, state === 'pending' ? 'pending' : 'dead'));
+}
+
+// Move a dead-lettered delivery back onto the queue with a fresh set of
+// attempts. Returns false if there is no such delivery.
+function replayDelivery(deliveryId) {
+  if (!SAFE_ID.test(deliveryId)) {
+    return false;
+  }
+
+  const deadPath = path.join(DEAD_DIR, `${deliveryId}.json`);
+  if (!fs.existsSync(deadPath)) {
+    return false;
+  }
+
+  const delivery = JSON.parse(fs.readFileSync(deadPath, 'utf8'));
+  delete delivery.dead_at;
+  delivery.attempts = 0;
+  delivery.next_attempt_at = Date.now();
+  writeDelivery(PENDING_DIR, delivery);
+  fs.rmSync(deadPath, { force: true });
+
+  setImmediate(processQueue);
+  return true;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  isEnabled,
+  isAllowedWebhookUrl,
+  enqueueEvent,
+  processQueue,
+  listDeliveries,
+  replayDelivery
+};